@@ -298,19 +298,21 @@ window.PreviewManager = {
         const textEl = previewKey.querySelector('#previewText');
         
         if (textEl) {
-            switch (settings.statType) {
-                case 'kda':
-                    textEl.textContent = '5/2/7';
-                    break;
-                case 'teamKills':
-                    textEl.textContent = '12 Kills';
-                    break;
-                case 'wardScore':
-                    textEl.textContent = 'Ward: 45';
-                    break;
-                default:
-                    textEl.textContent = 'N/A';
-            }
+            // Sample values for the first page of chosen stats
+            const samples = {
+                cs: 'CS 142',
+                csPerMin: 'CS/MIN 7.1',
+                gold: 'GOLD 1,287',
+                level: 'LEVEL 14',
+                killParticipation: 'KP 58%',
+                visionPerMin: 'VISION/MIN 1.2'
+            };
+            const stats = (settings.stats || []).filter(stat => samples[stat]);
+            const perPage = settings.statsPerPage || 3;
+            
+            textEl.textContent = stats.length > 0
+                ? stats.slice(0, perPage).map(stat => samples[stat]).join(' · ')
+                : 'N/A';
         }
     }
 };
@@ -1,5 +1,6 @@
 const logger = require('./utils/logger');
 const LoLDataService = require('./services/LoLDataService');
+const LiveClientDataService = require('./services/LiveClientDataService');
 const KeyService = require('./services/KeyService');
 const KeyHandlers = require('./handlers/KeyHandlers');
 const { setLoLDataService } = require('./lol'); // Import legacy client compatibility
@@ -10,16 +11,23 @@ const { setLoLDataService } = require('./lol'); // Import legacy client compatib
  * Coordinates all services and handles the overall plugin lifecycle.
  * Implements the separation of concerns architecture where:
  * - LoL Data Service handles all League client communication
+ * - Live Client Data Service polls in-game data while a match is running
  * - Key Service manages all key rendering and state
  * - Key Handlers process data updates and decide what to render
  */
 class PluginCore {
-  constructor() {
+  constructor(options = {}) {
+    this.options = {
+      pluginPath: null, // Plugin directory, for files the plugin writes
+      ...options
+    };
+    
     this.isInitialized = false;
     this.isShuttingDown = false;
     
     // Services
     this.lolDataService = null;
+    this.liveClientDataService = null;
     this.keyService = null;
     this.keyHandlers = null;
     
@@ -96,8 +104,9 @@ class PluginCore {
     logger.info('Pre-initializing services...');
     
     // Create services but don't initialize yet
-    this.lolDataService = new LoLDataService();
-    this.keyService = new KeyService();
+    this.lolDataService = new LoLDataService({ pluginPath: this.options.pluginPath });
+    this.liveClientDataService = new LiveClientDataService(this.lolDataService);
+    this.keyService = new KeyService({ pluginPath: this.options.pluginPath });
     this.keyHandlers = new KeyHandlers(this.keyService);
     
     // Set plugin instance if available
@@ -115,6 +124,7 @@ class PluginCore {
     logger.info('Completing service initialization...');
     
     // Now initialize services (this may emit connectionChanged events)
+    this.liveClientDataService.initialize();
     await this.lolDataService.initialize();
     await this.keyService.initialize();
     
@@ -137,6 +147,10 @@ class PluginCore {
     this.lolDataService.on('gameStateChanged', this.handleGameStateChange);
     this.lolDataService.on('error', this.handleError);
     
+    // Live Client Data Service events
+    this.liveClientDataService.on('dataUpdated', this.handleDataUpdate);
+    this.liveClientDataService.on('error', this.handleError);
+    
     // Key Service events
     this.keyService.on('keyRendered', (event) => {
       logger.debug(`Key rendered: ${event.serialNumber}-${event.keyUid}`);
@@ -207,6 +221,7 @@ class PluginCore {
     if (this.currentConnectionState !== newState) {
       logger.info(`Connection state changed: ${this.currentConnectionState} -> ${newState} (${reason})`);
       this.currentConnectionState = newState;
+      this.keyHandlers.handleConnectionChange(connected);
       
       if (connected) {
         logger.info('League connected - re-initializing all keys with proper content');
@@ -290,8 +305,8 @@ class PluginCore {
       
       logger.debug(`Handling interaction for key ${key.cid} (UID: ${key.uid}) on device ${serialNumber}`);
       
-      // Handle key interaction using KeyHandlers
-      await this.keyHandlers.handleKeyInteraction(serialNumber, key);
+      // Handle key interaction using KeyHandlers (position is where the key was touched, in key pixels)
+      await this.keyHandlers.handleKeyInteraction(serialNumber, key, { position: data.position || null });
       
       return { status: "handled", message: `Handled interaction for key ${key.cid}` };
       
@@ -330,6 +345,7 @@ class PluginCore {
       registeredDevices: Array.from(this.registeredKeys.keys()),
       services: {
         lolDataService: this.lolDataService?.getConnectionStatus() || null,
+        liveClientDataService: this.liveClientDataService?.getStatus() || null,
         keyService: this.keyService?.getStatus() || null
       }
     };
@@ -387,7 +403,7 @@ class PluginCore {
       
       // Shutdown services in reverse order
       if (this.keyHandlers) {
-        // Key handlers don't need explicit shutdown
+        this.keyHandlers.shutdown();
         this.keyHandlers = null;
       }
       
@@ -396,6 +412,11 @@ class PluginCore {
         this.keyService = null;
       }
       
+      if (this.liveClientDataService) {
+        await this.liveClientDataService.shutdown();
+        this.liveClientDataService = null;
+      }
+      
       if (this.lolDataService) {
         await this.lolDataService.shutdown();
         this.lolDataService = null;
@@ -0,0 +1,341 @@
+/**
+ * Static Game Data
+ *
+ * Champion, item and summoner spell metadata shared by all keys, plus the asset
+ * resolver used by canvasUtils.loadCachedImage.
+ *
+ * Data comes from the League client's /lol-game-data/assets endpoints when it is
+ * connected (exact patch match, works offline) and from Data Dragon otherwise.
+ * Records always carry a Data Dragon style iconPath (e.g. img/champion/Ahri.png)
+ * so they can be passed straight to canvasUtils.loadCachedImage.
+ */
+
+const logger = require('./utils/logger');
+const { client } = require('./lol');
+
+const LCU_ASSETS = '/lol-game-data/assets';
+
+// The client only exposes numeric summoner spell ids; Data Dragon and the Live Client API use these keys
+const SUMMONER_SPELL_KEYS = {
+  1: 'SummonerBoost',
+  3: 'SummonerExhaust',
+  4: 'SummonerFlash',
+  6: 'SummonerHaste',
+  7: 'SummonerHeal',
+  11: 'SummonerSmite',
+  12: 'SummonerTeleport',
+  13: 'SummonerMana',
+  14: 'SummonerDot',
+  21: 'SummonerBarrier',
+  32: 'SummonerSnowball',
+  2201: 'SummonerCherryHold',
+  2202: 'SummonerCherryFlash'
+};
+
+// How long to wait before retrying a source that failed to load
+const RETRY_DELAY = 30000;
+
+// Loaded metadata (null until first use)
+let gameData = null;
+let loadingPromise = null;
+
+// When the League client source, and every source, last failed to load
+let clientFailedAt = 0;
+let loadFailedAt = 0;
+
+/**
+ * Normalize a champion name or alias for lookups ("Kai'Sa" -> "kaisa")
+ */
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Create empty lookup tables
+ */
+function createGameData(source, cacheKey) {
+  return {
+    source,
+    cacheKey,
+    champions: new Map(), // id -> champion
+    championsByName: new Map(), // normalized alias/name -> champion
+    items: new Map(), // id -> item
+    spells: new Map(), // id -> spell
+    spellsByKey: new Map() // normalized key/name -> spell
+  };
+}
+
+/**
+ * Add a champion record to the lookup tables
+ */
+function addChampion(data, champion) {
+  data.champions.set(champion.id, champion);
+  data.championsByName.set(normalizeName(champion.alias), champion);
+  data.championsByName.set(normalizeName(champion.name), champion);
+}
+
+/**
+ * Add a summoner spell record to the lookup tables
+ */
+function addSpell(data, spell) {
+  data.spells.set(spell.id, spell);
+  if (spell.key) data.spellsByKey.set(normalizeName(spell.key), spell);
+  data.spellsByKey.set(normalizeName(spell.name), spell);
+}
+
+/**
+ * Load metadata from the League client's game data endpoints
+ */
+async function loadFromClient(cacheKey) {
+  // Fetched as raw assets so the (large) files stay out of recorded sessions
+  const loadJson = async (endpoint) => {
+    const buffer = await client.requestAsset(endpoint);
+    return JSON.parse(buffer.toString('utf8'));
+  };
+
+  const [champions, items, spells] = await Promise.all([
+    loadJson(`${LCU_ASSETS}/v1/champion-summary.json`),
+    loadJson(`${LCU_ASSETS}/v1/items.json`),
+    loadJson(`${LCU_ASSETS}/v1/summoner-spells.json`)
+  ]);
+
+  const data = createGameData('lcu', cacheKey);
+
+  champions.filter(c => c.id > 0).forEach(c => addChampion(data, {
+    id: c.id,
+    alias: c.alias,
+    name: c.name,
+    iconPath: `img/champion/${c.alias}.png`,
+    clientIconPath: c.squarePortraitPath
+  }));
+
+  items.forEach(item => data.items.set(item.id, {
+    id: item.id,
+    name: item.name,
+    price: item.priceTotal || 0,
+    iconPath: `img/item/${item.id}.png`,
+    clientIconPath: item.iconPath
+  }));
+
+  spells.forEach(spell => {
+    const key = SUMMONER_SPELL_KEYS[spell.id] || null;
+    addSpell(data, {
+      id: spell.id,
+      key,
+      name: spell.name,
+      cooldown: spell.cooldown || null,
+      iconPath: key ? `img/spell/${key}.png` : null,
+      clientIconPath: spell.iconPath
+    });
+  });
+
+  return data;
+}
+
+/**
+ * Load metadata from Data Dragon (cached on disk)
+ */
+async function loadFromDataDragon(cacheKey) {
+  const loadJson = async (resourcePath) => {
+    const buffer = await client.getCachedDataDragonResource(resourcePath);
+    return JSON.parse(buffer.toString('utf8')).data || {};
+  };
+
+  const [champions, items, spells] = await Promise.all([
+    loadJson('data/en_US/champion.json'),
+    loadJson('data/en_US/item.json'),
+    loadJson('data/en_US/summoner.json')
+  ]);
+
+  const data = createGameData('ddragon', cacheKey);
+
+  Object.values(champions).forEach(c => addChampion(data, {
+    id: Number(c.key),
+    alias: c.id,
+    name: c.name,
+    iconPath: `img/champion/${c.image.full}`,
+    clientIconPath: null
+  }));
+
+  Object.entries(items).forEach(([id, item]) => data.items.set(Number(id), {
+    id: Number(id),
+    name: item.name,
+    price: item.gold ? item.gold.total : 0,
+    iconPath: `img/item/${item.image.full}`,
+    clientIconPath: null
+  }));
+
+  Object.values(spells).forEach(spell => addSpell(data, {
+    id: Number(spell.key),
+    key: spell.id,
+    name: spell.name,
+    cooldown: Array.isArray(spell.cooldown) ? spell.cooldown[0] : null,
+    iconPath: `img/spell/${spell.image.full}`,
+    clientIconPath: null
+  }));
+
+  return data;
+}
+
+/**
+ * Load metadata once per source and patch, preferring the League client
+ * Data Dragon data stands in while the client's game data isn't ready; the client is
+ * retried every RETRY_DELAY, and so is everything when both sources failed
+ */
+async function ensureLoaded() {
+  const version = client.getDataDragonVersion() || 'latest';
+  const preferClient = client.isAvailable() && !client.isReplaying();
+  const clientKey = `lcu:${version}`;
+  const dataDragonKey = `ddragon:${version}`;
+
+  if (gameData && gameData.cacheKey === (preferClient ? clientKey : dataDragonKey)) {
+    return gameData;
+  }
+
+  const now = Date.now();
+  const retryClient = preferClient && now - clientFailedAt >= RETRY_DELAY;
+
+  // The client failed recently; keep using Data Dragon for this patch until it's retried
+  if (gameData && gameData.cacheKey === dataDragonKey && !retryClient) {
+    return gameData;
+  }
+
+  if (!loadingPromise && now - loadFailedAt < RETRY_DELAY) {
+    if (gameData) {
+      return gameData;
+    }
+    throw new Error('Game data unavailable, retrying shortly');
+  }
+
+  if (!loadingPromise) {
+    loadingPromise = (async () => {
+      if (retryClient) {
+        try {
+          return await loadFromClient(clientKey);
+        } catch (error) {
+          clientFailedAt = Date.now();
+          logger.warn(`Failed to load game data from League client, using Data Dragon: ${error.message}`);
+        }
+      }
+
+      if (gameData && gameData.cacheKey === dataDragonKey) {
+        return gameData;
+      }
+      return loadFromDataDragon(dataDragonKey);
+    })();
+
+    loadingPromise
+      .then(data => {
+        loadFailedAt = 0;
+        if (data !== gameData) {
+          gameData = data;
+          logger.info(`Loaded game data from ${data.source}: ${data.champions.size} champions, ${data.items.size} items, ${data.spells.size} summoner spells`);
+        }
+      })
+      .catch(error => {
+        loadFailedAt = Date.now();
+        logger.error('Failed to load game data:', error.message);
+      })
+      .finally(() => { loadingPromise = null; });
+  }
+
+  return loadingPromise;
+}
+
+/**
+ * Get a champion by numeric id, alias ("MonkeyKing") or display name ("Wukong")
+ * @returns {Promise<object|null>} { id, alias, name, iconPath }
+ */
+async function getChampion(idOrName) {
+  const data = await ensureLoaded();
+  if (typeof idOrName === 'number' || /^\d+$/.test(String(idOrName))) {
+    return data.champions.get(Number(idOrName)) || null;
+  }
+  return data.championsByName.get(normalizeName(idOrName)) || null;
+}
+
+/**
+ * Get a champion from a Live Client Data player entry
+ */
+async function getChampionForPlayer(player) {
+  if (!player) return null;
+
+  // rawChampionName is game_character_displayname_<Alias>, which survives localization
+  const alias = String(player.rawChampionName || '').replace('game_character_displayname_', '');
+  return (alias && await getChampion(alias)) || getChampion(player.championName);
+}
+
+/**
+ * Get an item by id
+ * @returns {Promise<object|null>} { id, name, price, iconPath }
+ */
+async function getItem(id) {
+  const data = await ensureLoaded();
+  return data.items.get(Number(id)) || null;
+}
+
+/**
+ * Get a summoner spell by numeric id, key ("SummonerFlash") or name ("Flash")
+ * @returns {Promise<object|null>} { id, key, name, cooldown, iconPath }
+ */
+async function getSummonerSpell(idOrName) {
+  const data = await ensureLoaded();
+  if (typeof idOrName === 'number' || /^\d+$/.test(String(idOrName))) {
+    return data.spells.get(Number(idOrName)) || null;
+  }
+
+  // Live Client Data uses GeneratedTip_SummonerSpell_<Key>_DisplayName
+  const match = String(idOrName).match(/SummonerSpell_(\w+?)_DisplayName/);
+  return data.spellsByKey.get(normalizeName(match ? match[1] : idOrName)) || null;
+}
+
+/**
+ * Map a Data Dragon image path to the League client's copy of the same asset
+ */
+async function getClientAssetPath(resourcePath) {
+  const profileIcon = resourcePath.match(/^img\/profileicon\/(\d+)\.png$/);
+  if (profileIcon) {
+    return `${LCU_ASSETS}/v1/profile-icons/${profileIcon[1]}.jpg`;
+  }
+
+  const data = await ensureLoaded();
+  if (data.source !== 'lcu') {
+    return null;
+  }
+
+  const [, folder, name] = resourcePath.match(/^img\/(champion|item|spell)\/(.+)\.png$/) || [];
+  let record = null;
+  if (folder === 'champion') record = data.championsByName.get(normalizeName(name));
+  if (folder === 'item') record = data.items.get(Number(name));
+  if (folder === 'spell') record = data.spellsByKey.get(normalizeName(name));
+
+  return record ? record.clientIconPath : null;
+}
+
+/**
+ * Resolve an image asset, preferring the League client and falling back to Data Dragon
+ * @param {string} resourcePath Data Dragon path, e.g. img/champion/Ahri.png
+ * @returns {Promise<Buffer>}
+ */
+async function resolveAsset(resourcePath) {
+  if (client.isAvailable() && !client.isReplaying()) {
+    try {
+      const clientPath = await getClientAssetPath(resourcePath);
+      if (clientPath) {
+        return await client.requestAsset(clientPath);
+      }
+    } catch (error) {
+      logger.debug(`League client asset unavailable for ${resourcePath}, using Data Dragon: ${error.message}`);
+    }
+  }
+
+  return client.getCachedDataDragonResource(resourcePath);
+}
+
+module.exports = {
+  getChampion,
+  getChampionForPlayer,
+  getItem,
+  getSummonerSpell,
+  resolveAsset
+};
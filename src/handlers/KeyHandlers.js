@@ -16,16 +16,23 @@ class KeyHandlers {
     this.handlers = new Map([
       ['summoner', this.handleSummonerData.bind(this)],
       ['gameflow', this.handleGameflowData.bind(this)],
+      ['lobby', this.handleLobbyData.bind(this)],
+      ['searchstate', this.handleSearchStateData.bind(this)],
+      ['readycheck', this.handleReadyCheckData.bind(this)],
       ['champselect', this.handleChampSelectData.bind(this)],
       ['ranked', this.handleRankedData.bind(this)],
       ['wallet', this.handleWalletData.bind(this)],
-      ['livegame', this.handleLiveGameData.bind(this)]
+      ['livegame', this.handleLiveGameData.bind(this)],
+      ['gameevents', this.handleGameEventsData.bind(this)]
     ]);
 
     // Current game state tracking
     this.currentGamePhase = null;
     this.isInGame = false;
     
+    // Ranked data that arrived before the account it belongs to was known
+    this.pendingRankedData = null;
+    
     // Persistent key tracking for live updates
     this.activeKeys = new Map(); // keyId -> true
     this.keyData = new Map(); // keyUid -> key object
@@ -37,8 +44,21 @@ class KeyHandlers {
       ['com.sondrenjaastad.leagueoflegends.rank', keys.initializeRankKey],
       ['com.sondrenjaastad.leagueoflegends.gamestats', keys.initializeGameStatsKey],
       ['com.sondrenjaastad.leagueoflegends.teamkills', keys.initializeTeamKillsKey],
+      ['com.sondrenjaastad.leagueoflegends.teamdiff', keys.initializeTeamDiffKey],
       ['com.sondrenjaastad.leagueoflegends.kda', keys.initializeKDAKey],
-      ['com.sondrenjaastad.leagueoflegends.wardscore', keys.initializeWardScoreKey]
+      ['com.sondrenjaastad.leagueoflegends.wardscore', keys.initializeWardScoreKey],
+      ['com.sondrenjaastad.leagueoflegends.items', keys.initializeItemsKey],
+      ['com.sondrenjaastad.leagueoflegends.objectives', keys.initializeObjectivesKey],
+      ['com.sondrenjaastad.leagueoflegends.eventfeed', keys.initializeEventFeedKey],
+      ['com.sondrenjaastad.leagueoflegends.spelltracker', keys.initializeSpellTrackerKey],
+      ['com.sondrenjaastad.leagueoflegends.skills', keys.initializeSkillsKey],
+      ['com.sondrenjaastad.leagueoflegends.scoreboard', keys.initializeScoreboardKey],
+      ['com.sondrenjaastad.leagueoflegends.champselect', keys.initializeChampSelectKey],
+      ['com.sondrenjaastad.leagueoflegends.readycheck', keys.initializeReadyCheckKey],
+      ['com.sondrenjaastad.leagueoflegends.queue', keys.initializeQueueKey],
+      ['com.sondrenjaastad.leagueoflegends.gameclock', keys.initializeGameClockKey],
+      ['com.sondrenjaastad.leagueoflegends.postgame', keys.initializePostGameKey],
+      ['com.sondrenjaastad.leagueoflegends.session', keys.initializeSessionKey]
     ]);
   }
 
@@ -81,7 +101,7 @@ class KeyHandlers {
   /**
    * Handle key interactions (when user presses a key)
    */
-  async handleKeyInteraction(serialNumber, key) {
+  async handleKeyInteraction(serialNumber, key, interaction = {}) {
     try {
       const keyManager = this.createKeyManagerAdapter();
       
@@ -91,6 +111,36 @@ class KeyHandlers {
         return;
       }
       
+      // Ready check key accepts or declines the current ready check
+      if (key.cid === 'com.sondrenjaastad.leagueoflegends.readycheck') {
+        await keys.handleReadyCheckInteraction(serialNumber, keyManager, key, interaction.position);
+        return;
+      }
+      
+      // Game Stats key cycles through its pages of stats
+      if (key.cid === 'com.sondrenjaastad.leagueoflegends.gamestats') {
+        await keys.handleGameStatsInteraction(serialNumber, keyManager, key);
+        return;
+      }
+      
+      // Scoreboard key switches between the two teams
+      if (key.cid === 'com.sondrenjaastad.leagueoflegends.scoreboard') {
+        await keys.handleScoreboardInteraction(serialNumber, keyManager, key);
+        return;
+      }
+      
+      // Spell Tracker key starts the cooldown of the touched enemy spell
+      if (key.cid === 'com.sondrenjaastad.leagueoflegends.spelltracker') {
+        await keys.handleSpellTrackerInteraction(serialNumber, keyManager, key, interaction.position);
+        return;
+      }
+      
+      // Queue key starts or cancels matchmaking
+      if (key.cid === 'com.sondrenjaastad.leagueoflegends.queue') {
+        await keys.handleQueueInteraction(serialNumber, keyManager, key);
+        return;
+      }
+      
       // For other keys, just re-initialize them
       const initializer = this.keyInitializers.get(key.cid);
       if (initializer) {
@@ -134,6 +184,25 @@ class KeyHandlers {
         self.keyService.updateKey(serialNumber, keyData.uid, dataWithImage, renderOptions);
       },
       
+      // Persisted LP history for a ranked queue (oldest first)
+      getLpHistory: (queueType) => {
+        return self.keyService.stateManager ? self.keyService.stateManager.getLpHistory(queueType) : [];
+      },
+      
+      // Persisted LP history of every ranked queue
+      getAllLpHistory: () => {
+        return self.keyService.stateManager ? self.keyService.stateManager.getAllLpHistory() : {};
+      },
+      
+      // Persisted finished games for the session tracker
+      getSessionGames: () => {
+        return self.keyService.stateManager ? self.keyService.stateManager.getSessionGames() : [];
+      },
+      
+      addSessionGame: (game) => {
+        return self.keyService.stateManager ? self.keyService.stateManager.addSessionGame(game) : false;
+      },
+      
       // Active keys tracking (now connected to persistent storage)
       get activeKeys() {
         // Convert Map to object for compatibility
@@ -189,8 +258,21 @@ class KeyHandlers {
         else if (key.cid.includes('rank')) keyType = 'rank';
         else if (key.cid.includes('gamestats')) keyType = 'gamestats';
         else if (key.cid.includes('teamkills')) keyType = 'teamkills';
+        else if (key.cid.includes('teamdiff')) keyType = 'teamdiff';
         else if (key.cid.includes('kda')) keyType = 'kda';
         else if (key.cid.includes('wardscore')) keyType = 'wardscore';
+        else if (key.cid.includes('items')) keyType = 'items';
+        else if (key.cid.includes('objectives')) keyType = 'objectives';
+        else if (key.cid.includes('eventfeed')) keyType = 'eventfeed';
+        else if (key.cid.includes('spelltracker')) keyType = 'spelltracker';
+        else if (key.cid.includes('skills')) keyType = 'skills';
+        else if (key.cid.includes('scoreboard')) keyType = 'scoreboard';
+        else if (key.cid.includes('champselect')) keyType = 'champselect';
+        else if (key.cid.includes('readycheck')) keyType = 'readycheck';
+        else if (key.cid.includes('queue')) keyType = 'queue';
+        else if (key.cid.includes('gameclock')) keyType = 'gameclock';
+        else if (key.cid.includes('postgame')) keyType = 'postgame';
+        else if (key.cid.includes('session')) keyType = 'session';
       }
       
       // Create beautiful offline canvas
@@ -275,15 +357,35 @@ class KeyHandlers {
     // Create adapter for existing key implementations
     const keyManager = this.createKeyManagerAdapter();
     
-    // Specifically handle live game updates based on game state
+    // Queue keys follow the phase to show matchmaking progress and clear the lobby once it closes
+    keys.handleQueuePhaseUpdate(keyManager, phase);
+    
+    // Game clock keys show the phase and time spent in it
+    keys.handleGameClockPhaseUpdate(keyManager, phase);
+    
+    // Post game keys load the end of game stats after a game and clear once the next lobby opens
+    keys.handlePostGamePhaseUpdate(keyManager, phase);
+    
+    // Session keys count the game once it has ended
+    keys.handleSessionPhaseUpdate(keyManager, phase);
+    
+    // Ready check keys go back to idle once the ready check is over
+    if (previous === 'ReadyCheck' && phase !== 'ReadyCheck') {
+      keys.handleReadyCheckUpdate(keyManager, null);
+    }
+    
+    // Champ select keys go back to idle once champ select is over
+    if (previous === 'ChampSelect' && phase !== 'ChampSelect') {
+      keys.handleChampSelectUpdate(keyManager, null);
+    }
+    
+    // Live keys render from LiveClientDataService snapshots while in game
     if (this.isInGame && previous !== 'InProgress') {
-      // Entering game - start live game updates
-      logger.info('Entering game - starting live game data updates');
-      keys.handleLiveGameUpdate(keyManager, '/liveclientdata/playerlist', null);
+      logger.info('Entering game - waiting for live game data');
     } else if (!this.isInGame && previous === 'InProgress') {
-      // Exiting game - stop live game updates
-      logger.info('Exiting game - stopping live game data updates');
-      keys.handleLiveGameUpdate(keyManager, '/liveclientdata/playerlist', null);
+      // Exiting game - drop the snapshot and show "not in game" on live keys
+      logger.info('Exiting game - clearing live game data');
+      keys.handleLiveGameUpdate(keyManager, null);
     }
   }
 
@@ -301,6 +403,38 @@ class KeyHandlers {
     // Use the existing summoner key handler
     const keyManager = this.createKeyManagerAdapter();
     keys.handleSummonerUpdate(keyManager, data);
+    
+    // Apex ladder positions are looked up for the logged in account
+    if (data.puuid) {
+      keys.setApexPuuid(data.puuid);
+    }
+    
+    // LP history and session games belong to the logged in account
+    const stateManager = this.keyService.stateManager;
+    if (stateManager && data.puuid && stateManager.setCurrentAccount(data.puuid)) {
+      logger.info(`Account changed to ${data.displayName || data.gameName || data.puuid}`);
+      
+      if (this.pendingRankedData) {
+        this.recordLpHistory(this.pendingRankedData.data, this.pendingRankedData.timestamp);
+        this.pendingRankedData = null;
+      }
+      keys.handleSessionRankedUpdate(keyManager);
+    }
+  }
+
+  /**
+   * Handle League client connection changes - forget the account, the next login may be another one
+   */
+  handleConnectionChange(connected) {
+    if (connected) {
+      return;
+    }
+
+    if (this.keyService.stateManager) {
+      this.keyService.stateManager.setCurrentAccount(null);
+    }
+    this.pendingRankedData = null;
+    keys.setApexPuuid(null);
   }
 
   /**
@@ -320,12 +454,47 @@ class KeyHandlers {
     }
   }
 
+  /**
+   * Handle lobby data updates
+   */
+  async handleLobbyData(data, previousData, timestamp) {
+    logger.debug('Processing lobby data update');
+    
+    // Lobby is null when it is closed
+    const keyManager = this.createKeyManagerAdapter();
+    keys.handleLobbyUpdate(keyManager, data);
+  }
+
+  /**
+   * Handle matchmaking search state updates
+   */
+  async handleSearchStateData(data, previousData, timestamp) {
+    logger.debug('Processing matchmaking search state update');
+    
+    const keyManager = this.createKeyManagerAdapter();
+    keys.handleSearchStateUpdate(keyManager, data);
+  }
+
+  /**
+   * Handle ready check data updates
+   */
+  async handleReadyCheckData(data, previousData, timestamp) {
+    logger.debug('Processing ready check data update');
+    
+    // Ready check is null when there is none
+    const keyManager = this.createKeyManagerAdapter();
+    keys.handleReadyCheckUpdate(keyManager, data);
+  }
+
   /**
    * Handle champion select data updates
    */
   async handleChampSelectData(data, previousData, timestamp) {
     logger.debug('Processing champion select data update');
-    // Champion select handling would be implemented here
+    
+    // Session is null when champ select ends
+    const keyManager = this.createKeyManagerAdapter();
+    keys.handleChampSelectUpdate(keyManager, data);
   }
 
   /**
@@ -339,9 +508,40 @@ class KeyHandlers {
 
     logger.debug('Processing ranked data update');
     
+    // Remember every change per queue so keys can show LP gained or lost
+    this.recordLpHistory(data, timestamp);
+    
     // Use the existing rank key handler
     const keyManager = this.createKeyManagerAdapter();
     keys.handleRankedUpdate(keyManager, data);
+    keys.handlePostGameRankedUpdate(keyManager, data);
+    keys.handleSessionRankedUpdate(keyManager);
+  }
+
+  /**
+   * Record changed ranked queue entries in the persisted LP history of the logged in account
+   */
+  recordLpHistory(rankedData, timestamp = Date.now()) {
+    const stateManager = this.keyService.stateManager;
+    if (!stateManager || !rankedData.queueMap) {
+      return;
+    }
+
+    // Wait for the summoner data, so records aren't compared with another account's
+    if (!stateManager.getCurrentAccount()) {
+      this.pendingRankedData = { data: rankedData, timestamp };
+      return;
+    }
+
+    Object.entries(rankedData.queueMap).forEach(([queueType, entry]) => {
+      const record = keys.createLpHistoryRecord(entry, stateManager.getLatestLpRecord(queueType), timestamp);
+      if (record) {
+        stateManager.addLpHistoryRecord(queueType, record);
+        if (record.lpChange !== null) {
+          logger.info(`${queueType}: ${record.lpChange >= 0 ? '+' : ''}${record.lpChange} LP`);
+        }
+      }
+    });
   }
 
   /**
@@ -373,7 +573,35 @@ class KeyHandlers {
 
     // Use the existing live game key handler
     const keyManager = this.createKeyManagerAdapter();
-    keys.handleLiveGameUpdate(keyManager, '/liveclientdata/playerlist', data);
+    keys.handleLiveGameUpdate(keyManager, data);
+    keys.handleGameClockLiveUpdate(keyManager, data);
+  }
+
+  /**
+   * Handle new game events - flash an alert on keys with showAlerts enabled
+   */
+  async handleGameEventsData(data, previousData, timestamp) {
+    if (!this.isInGame || !data) {
+      return;
+    }
+
+    const alert = keys.getEventAlert(data.events, data.snapshot);
+    if (!alert) {
+      return;
+    }
+
+    logger.debug(`Showing game event alert: ${alert.title}`);
+
+    for (const [keyId] of this.activeKeys) {
+      const [serialNumber, keyUid] = keyId.split('-');
+      const key = this.keyData.get(keyUid);
+      if (!key || !key.data || !key.data.showAlerts) {
+        continue;
+      }
+
+      const frames = await keys.createEventAlertFrames(alert, key);
+      await this.keyService.showOverlay(serialNumber, keyUid, frames);
+    }
   }
 
   /**
@@ -410,6 +638,18 @@ class KeyHandlers {
     
     logger.debug(`Cleaned up ${keysToRemove.length} keys for device ${serialNumber}`);
   }
+
+  /**
+   * Stop key timers
+   */
+  shutdown() {
+    keys.stopChampSelectCountdown();
+    keys.stopReadyCheckCountdown();
+    keys.stopQueueTicker();
+    keys.stopLiveGameCountdown();
+    keys.stopGameClockTicker();
+    keys.stopSessionTimer();
+  }
 }
 
 module.exports = KeyHandlers; 
\ No newline at end of file
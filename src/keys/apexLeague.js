@@ -0,0 +1,129 @@
+/**
+ * Apex League
+ * Ladder position and LP cutoffs for Master, Grandmaster and Challenger players,
+ * from /lol-ranked/v1/apex-leagues/{queueType}/{tier}
+ *
+ * Apex standings only change every few minutes, so results are cached per queue and tier.
+ */
+
+const logger = require('../utils/logger');
+const { client } = require('../lol');
+
+const APEX_TIERS = ['MASTER', 'GRANDMASTER', 'CHALLENGER'];
+
+// The tier whose lowest LP is the cutoff to aim for
+const CUTOFF_TIERS = {
+  MASTER: 'GRANDMASTER',
+  GRANDMASTER: 'CHALLENGER',
+  CHALLENGER: 'CHALLENGER'
+};
+
+const CACHE_TTL = 5 * 60 * 1000;
+
+// "<queueType>:<tier>" -> { league, fetchedAt }
+const leagueCache = new Map();
+
+// Local player's puuid, to find them in the standings
+let localPuuid = null;
+
+/**
+ * Check if a tier is an apex tier
+ */
+function isApexTier(tier) {
+  return APEX_TIERS.includes(tier);
+}
+
+/**
+ * Get an apex league, cached (null when the client doesn't have it)
+ */
+async function getApexLeague(queueType, tier) {
+  const cacheKey = `${queueType}:${tier}`;
+  const cached = leagueCache.get(cacheKey);
+  if (cached && Date.now() - cached.fetchedAt < CACHE_TTL) {
+    return cached.league;
+  }
+
+  let league = null;
+  try {
+    league = await client.get(`/lol-ranked/v1/apex-leagues/${queueType}/${tier}`);
+  } catch (error) {
+    logger.debug(`Apex league ${cacheKey} not available:`, error.message);
+  }
+
+  // Failures are cached too, so rank updates don't retry every poll
+  leagueCache.set(cacheKey, { league, fetchedAt: Date.now() });
+  return league;
+}
+
+/**
+ * All standings of a league, best first
+ */
+function getStandings(league) {
+  if (!league) {
+    return [];
+  }
+
+  const standings = Array.isArray(league.divisions)
+    ? league.divisions.flatMap(division => division.standings || [])
+    : league.standings || [];
+
+  return [...standings].sort((a, b) => (a.position || 0) - (b.position || 0));
+}
+
+/**
+ * Set the local player's puuid from summoner data (null when the client disconnects,
+ * so the next account is looked up again)
+ */
+function setLocalPuuid(puuid) {
+  localPuuid = puuid || null;
+}
+
+/**
+ * Get the local player's puuid
+ */
+async function getLocalPuuid() {
+  if (!localPuuid) {
+    try {
+      const summoner = await client.get('/lol-summoner/v1/current-summoner');
+      localPuuid = summoner ? summoner.puuid : null;
+    } catch (error) {
+      logger.debug('Failed to get current summoner for apex standings:', error.message);
+    }
+  }
+  return localPuuid;
+}
+
+/**
+ * Get ladder details for an apex tier entry
+ * @param {string} queueType Ranked queue
+ * @param {string} tier Entry tier
+ * @returns {Promise<{ position: number|null, cutoffTier: string, cutoff: number|null }|null>}
+ *   null for non-apex tiers or when nothing is available
+ */
+async function getApexDetails(queueType, tier) {
+  if (!queueType || !isApexTier(tier)) {
+    return null;
+  }
+
+  const puuid = await getLocalPuuid();
+  const standings = getStandings(await getApexLeague(queueType, tier));
+  const ownStanding = puuid ? standings.find(standing => standing.puuid === puuid) : null;
+  const position = ownStanding ? ownStanding.position || standings.indexOf(ownStanding) + 1 : null;
+
+  const cutoffTier = CUTOFF_TIERS[tier];
+  const cutoffStandings = cutoffTier === tier ? standings : getStandings(await getApexLeague(queueType, cutoffTier));
+  const cutoff = cutoffStandings.length > 0
+    ? Math.min(...cutoffStandings.map(standing => standing.leaguePoints || 0))
+    : null;
+
+  if (position === null && cutoff === null) {
+    return null;
+  }
+  return { position, cutoffTier, cutoff };
+}
+
+module.exports = {
+  isApexTier,
+  getApexDetails,
+  setLocalPuuid
+};
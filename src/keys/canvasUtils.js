@@ -7,6 +7,7 @@ const { Canvas, loadImage } = require('skia-canvas');
 const { truncateText, roundedRect } = require('../utils');
 const logger = require('../utils/logger');
 const { client } = require('../lol');
+const gameData = require('../gameData');
 const path = require('path');
 const fs = require('fs');
 
@@ -146,18 +147,57 @@ function drawProgressBar(ctx, x, y, width, height, progress, backgroundColor = '
   }
 }
 
+// Decoded game images, least recently used first
+const IMAGE_CACHE_SIZE = 100;
+const imageCache = new Map();
+const pendingImages = new Map();
+
+// Images that failed to load are not retried for a while, so keys redrawing every second don't hammer the CDN
+const IMAGE_RETRY_DELAY = 60000;
+const failedImages = new Map(); // cacheKey -> failure timestamp
+
 /**
- * Loads a cached image from Data Dragon
+ * Loads a cached game image (League client assets first, then Data Dragon)
+ * Decoded images are kept in an in-memory LRU on top of the on-disk asset cache
  * @param {string} path - Data Dragon path
  * @returns {Promise<Image>} - Loaded image
  */
 async function loadCachedImage(path) {
+  const cacheKey = `${client.getDataDragonVersion() || 'latest'}/${path}`;
+  
+  if (imageCache.has(cacheKey)) {
+    // Move to the most recently used end
+    const image = imageCache.get(cacheKey);
+    imageCache.delete(cacheKey);
+    imageCache.set(cacheKey, image);
+    return image;
+  }
+  
+  if (pendingImages.has(cacheKey)) {
+    return pendingImages.get(cacheKey);
+  }
+  
+  if (Date.now() - (failedImages.get(cacheKey) || 0) < IMAGE_RETRY_DELAY) {
+    throw new Error(`Image ${path} failed to load recently`);
+  }
+  
+  const pending = gameData.resolveAsset(path).then(buffer => loadImage(buffer));
+  pendingImages.set(cacheKey, pending);
+  
   try {
-    const buffer = await client.getCachedDataDragonResource(path);
-    return await loadImage(buffer);
+    const image = await pending;
+    failedImages.delete(cacheKey);
+    imageCache.set(cacheKey, image);
+    if (imageCache.size > IMAGE_CACHE_SIZE) {
+      imageCache.delete(imageCache.keys().next().value);
+    }
+    return image;
   } catch (error) {
-    logger.error(`Failed to load image from ${path}:`, error);
+    failedImages.set(cacheKey, Date.now());
+    logger.error(`Failed to load image from ${path}:`, error.message);
     throw error;
+  } finally {
+    pendingImages.delete(cacheKey);
   }
 }
 
@@ -206,6 +246,19 @@ async function loadLocalAsset(filename) {
   }
 }
 
+/**
+ * Formats a duration as m:ss, or h:mm:ss from an hour
+ * @param {number} seconds - Duration in seconds (rounded down; round countdowns up before passing them)
+ * @returns {string} - Formatted duration
+ */
+function formatDuration(seconds) {
+  const value = Math.max(0, Math.floor(seconds || 0));
+  const hours = Math.floor(value / 3600);
+  const minutes = Math.floor((value % 3600) / 60);
+  const secs = String(value % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
 /**
  * Creates a data URL from a canvas
  * @param {Canvas} canvas - Canvas to convert
@@ -326,10 +379,33 @@ async function createOfflineStateCanvas(config) {
         break;
       case 'gamestats':
       case 'teamkills':
+      case 'teamdiff':
       case 'kda':
       case 'wardscore':
+      case 'items':
+      case 'objectives':
+      case 'eventfeed':
+      case 'spelltracker':
+      case 'skills':
+      case 'scoreboard':
         subtitle = 'Live game data unavailable';
         break;
+      case 'champselect':
+        subtitle = 'Champion select unavailable';
+        break;
+      case 'readycheck':
+      case 'queue':
+        subtitle = 'Matchmaking unavailable';
+        break;
+      case 'gameclock':
+        subtitle = 'Game clock unavailable';
+        break;
+      case 'postgame':
+        subtitle = 'Post game summary unavailable';
+        break;
+      case 'session':
+        subtitle = 'Session tracker unavailable';
+        break;
       default:
         subtitle = 'Waiting for League client...';
     }
@@ -359,6 +435,7 @@ module.exports = {
   drawIconBorder,
   drawText,
   drawProgressBar,
+  formatDuration,
   loadCachedImage,
   loadLocalAsset,
   canvasToDataURL,
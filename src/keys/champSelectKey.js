@@ -0,0 +1,389 @@
+/**
+ * Champion Select Key Implementation
+ * Displays both teams' picks, bans, the current phase and countdown timer
+ */
+
+const { Canvas } = require('skia-canvas');
+const logger = require('../utils/logger');
+const { client, initializeClient } = require('../lol');
+const gameData = require('../gameData');
+const canvasUtils = require('./canvasUtils');
+
+const CHAMP_SELECT_CID = 'com.sondrenjaastad.leagueoflegends.champselect';
+
+// Short labels for assigned positions
+const POSITION_LABELS = {
+  top: 'TOP',
+  jungle: 'JGL',
+  middle: 'MID',
+  bottom: 'BOT',
+  utility: 'SUP'
+};
+
+// Labels for timer phases
+const PHASE_LABELS = {
+  PLANNING: 'Planning',
+  BAN_PICK: 'Ban & Pick',
+  FINALIZATION: 'Finalizing',
+  GAME_STARTING: 'Starting'
+};
+
+// Latest champ select session and when it was received (for the countdown)
+let currentSession = null;
+let sessionReceivedAt = 0;
+
+// Redraws the countdown every second while in champ select
+let countdownTimer = null;
+
+/**
+ * Get the champion a cell has locked in or is hovering
+ * @returns {{ championId: number, locked: boolean }}
+ */
+function getCellChampion(session, cell) {
+  const pickActions = (session.actions || []).flat().filter(action =>
+    action.type === 'pick' && action.actorCellId === cell.cellId
+  );
+  const locked = pickActions.some(action => action.completed);
+
+  if (cell.championId > 0) {
+    return { championId: cell.championId, locked };
+  }
+  return { championId: cell.championPickIntent || 0, locked: false };
+}
+
+/**
+ * Get banned champion ids for both teams
+ */
+function getBans(session) {
+  const bans = session.bans || {};
+  if ((bans.myTeamBans || []).length > 0 || (bans.theirTeamBans || []).length > 0) {
+    return { myTeam: bans.myTeamBans || [], theirTeam: bans.theirTeamBans || [] };
+  }
+
+  // Newer clients leave bans empty and only report ban actions
+  const banActions = (session.actions || []).flat().filter(action =>
+    action.type === 'ban' && action.completed && action.championId > 0
+  );
+  return {
+    myTeam: banActions.filter(action => action.isAllyAction).map(action => action.championId),
+    theirTeam: banActions.filter(action => !action.isAllyAction).map(action => action.championId)
+  };
+}
+
+/**
+ * Seconds left in the current phase, counting down from the last session update
+ */
+function getTimeLeft(session) {
+  if (!session.timer || session.timer.isInfinite) {
+    return null;
+  }
+  const elapsed = Date.now() - sessionReceivedAt;
+  return Math.max(0, Math.ceil((session.timer.adjustedTimeLeftInPhase - elapsed) / 1000));
+}
+
+/**
+ * Draw a champion portrait, dimmed while only hovered
+ */
+async function drawPortrait(ctx, championId, x, y, size, options = {}) {
+  const { locked = true, highlight = false, banned = false } = options;
+
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+  canvasUtils.drawRoundedRect(ctx, x, y, size, size, 3);
+
+  if (championId > 0) {
+    try {
+      const champion = await gameData.getChampion(championId);
+      if (champion) {
+        const icon = await canvasUtils.loadCachedImage(champion.iconPath);
+        ctx.save();
+        ctx.globalAlpha = locked ? 1 : 0.45;
+        canvasUtils.drawIcon(ctx, icon, x, y, size, 3);
+        ctx.restore();
+      }
+    } catch (error) {
+      logger.debug(`Failed to load portrait for champion ${championId}:`, error.message);
+    }
+  }
+
+  if (banned) {
+    ctx.strokeStyle = '#E84057';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(x + 2, y + size - 2);
+    ctx.lineTo(x + size - 2, y + 2);
+    ctx.stroke();
+  }
+
+  if (highlight) {
+    canvasUtils.drawIconBorder(ctx, x, y, size, 3, '#C89B3C', 2);
+  }
+}
+
+/**
+ * Creates the champion select key canvas
+ * @param {object} config - Configuration object
+ * @returns {Promise<Canvas>} - Canvas object
+ */
+async function createChampSelectCanvas(config) {
+  const {
+    width = 480,
+    height = 60,
+    session,
+    backgroundColor = '#0A1428'
+  } = config;
+
+  try {
+    const canvas = new Canvas(width, height);
+    const ctx = canvas.getContext('2d');
+    canvasUtils.drawKeyBackground(ctx, width, height, backgroundColor);
+
+    const padding = 6;
+    const rowGap = 4;
+    const portraitSize = Math.floor((height - padding * 2 - rowGap) / 2);
+    const banSize = Math.floor(portraitSize * 0.7);
+
+    // Timer, phase and position on the left
+    const localCell = (session.myTeam || []).find(cell => cell.cellId === session.localPlayerCellId);
+    const timeLeft = getTimeLeft(session);
+    const phase = session.timer ? (PHASE_LABELS[session.timer.phase] || session.timer.phase) : '';
+    const position = localCell ? POSITION_LABELS[localCell.assignedPosition] : null;
+
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = timeLeft !== null && timeLeft <= 5 ? '#E84057' : '#F0E6D2';
+    ctx.font = 'bold 22px Arial';
+    ctx.fillText(timeLeft !== null ? canvasUtils.formatDuration(timeLeft) : '--', padding, padding - 2);
+
+    ctx.fillStyle = '#A09B8C';
+    ctx.font = '10px Arial';
+    ctx.fillText(position ? `${phase} · ${position}` : phase, padding, height - padding - 11);
+
+    // Teams: allies on the top row, enemies on the bottom row
+    const teamsX = 78;
+    const rows = [
+      { cells: session.myTeam || [], y: padding },
+      { cells: session.theirTeam || [], y: padding + portraitSize + rowGap }
+    ];
+
+    for (const row of rows) {
+      for (let i = 0; i < row.cells.length; i++) {
+        const cell = row.cells[i];
+        const { championId, locked } = getCellChampion(session, cell);
+        await drawPortrait(ctx, championId, teamsX + i * (portraitSize + 3), row.y, portraitSize, {
+          locked,
+          highlight: cell.cellId === session.localPlayerCellId
+        });
+      }
+    }
+
+    // Bans on the right, same rows as their team
+    const bans = getBans(session);
+    const bansX = teamsX + 5 * (portraitSize + 3) + 10;
+    if (bansX + banSize <= width) {
+      const banOffset = Math.floor((portraitSize - banSize) / 2);
+      const banRows = [
+        { ids: bans.myTeam, y: padding + banOffset },
+        { ids: bans.theirTeam, y: padding + portraitSize + rowGap + banOffset }
+      ];
+
+      for (const row of banRows) {
+        for (let i = 0; i < row.ids.length; i++) {
+          const x = bansX + i * (banSize + 2);
+          if (x + banSize > width - padding) break;
+          await drawPortrait(ctx, row.ids[i], x, row.y, banSize, { banned: true });
+        }
+      }
+    }
+
+    return canvas;
+  } catch (error) {
+    logger.error('Failed to create champion select canvas:', error);
+    return canvasUtils.createFallbackCanvas(width, height, 'Champ Select');
+  }
+}
+
+/**
+ * Creates the idle canvas shown outside champion select
+ * @param {object} config - Configuration object
+ * @returns {Promise<Canvas>} - Canvas object
+ */
+async function createIdleCanvas(config) {
+  const {
+    width = 480,
+    height = 60,
+    backgroundColor = '#0A1428'
+  } = config;
+
+  const canvas = new Canvas(width, height);
+  const ctx = canvas.getContext('2d');
+  canvasUtils.drawKeyBackground(ctx, width, height, backgroundColor);
+
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = '#C89B3C';
+  ctx.font = 'bold 14px Arial';
+  ctx.fillText('Champ Select', width / 2, height / 2 - 8);
+
+  ctx.fillStyle = '#A09B8C';
+  ctx.font = '11px Arial';
+  ctx.fillText('Waiting for champion select', width / 2, height / 2 + 10);
+
+  return canvas;
+}
+
+/**
+ * Render a champ select key from the current session
+ */
+async function renderChampSelectKey(serialNumber, keyManager, key) {
+  const config = {
+    width: key.width || 480,
+    height: key.height || 60,
+    session: currentSession,
+    backgroundColor: key.style?.backgroundColor || '#0A1428'
+  };
+
+  const canvas = currentSession
+    ? await createChampSelectCanvas(config)
+    : await createIdleCanvas(config);
+  const buttonDataUrl = await canvasUtils.canvasToDataURL(canvas);
+
+  if (buttonDataUrl) {
+    const safeKey = {
+      uid: key.uid,
+      width: key.width,
+      style: {
+        ...(key.style || {}),
+        showImage: true,
+        showTitle: false,
+        showIcon: false,
+        showEmoji: false
+      }
+    };
+    keyManager.simpleDraw(serialNumber, safeKey, buttonDataUrl);
+  }
+}
+
+/**
+ * Re-render every active champ select key
+ */
+async function updateChampSelectKeys(keyManager) {
+  for (const keyId of Object.keys(keyManager.activeKeys)) {
+    const [serialNumber, keyUid] = keyId.split('-');
+    const key = keyManager.keyData[keyUid];
+
+    if (key && key.cid === CHAMP_SELECT_CID) {
+      try {
+        await renderChampSelectKey(serialNumber, keyManager, key);
+      } catch (error) {
+        logger.error(`Failed to update champ select key ${keyId}:`, error);
+      }
+    }
+  }
+}
+
+/**
+ * Start redrawing the countdown every second
+ */
+function startCountdown(keyManager) {
+  stopCountdown();
+  countdownTimer = setInterval(() => {
+    // The session is gone once the client goes away; leave the keys to the offline state
+    if (!client.isAvailable()) {
+      currentSession = null;
+      stopCountdown();
+      return;
+    }
+
+    updateChampSelectKeys(keyManager).catch(error => {
+      logger.debug('Champ select countdown update failed:', error.message);
+    });
+  }, 1000);
+}
+
+/**
+ * Stop the countdown timer
+ */
+function stopCountdown() {
+  if (countdownTimer) {
+    clearInterval(countdownTimer);
+    countdownTimer = null;
+  }
+}
+
+/**
+ * Initialize a champion select key
+ * @param {string} serialNumber Device serial number
+ * @param {object} keyManager Key manager instance
+ * @param {object} key Key data
+ */
+async function initializeChampSelectKey(serialNumber, keyManager, key) {
+  const keyUid = key.uid;
+  const keyId = `${serialNumber}-${keyUid}`;
+
+  try {
+    await initializeClient();
+
+    // Check if client is available for API calls
+    if (!client.isAvailable()) {
+      logger.info(`League client not available for champ select key ${keyId}, showing offline state`);
+      const safeKey = {
+        uid: keyUid,
+        width: key.width,
+        title: 'League Offline',
+        style: {
+          ...(key.style || {}),
+          showImage: false,
+          showTitle: true,
+          backgroundColor: '#8B0000' // Dark red background
+        }
+      };
+      keyManager.simpleTextDraw(serialNumber, safeKey);
+      return;
+    }
+
+    // Store key data
+    keyManager.keyData[keyUid] = key;
+    keyManager.activeKeys[keyId] = true;
+
+    await renderChampSelectKey(serialNumber, keyManager, key);
+
+  } catch (error) {
+    logger.error('Error initializing champ select key:', error);
+
+    const safeKey = {
+      uid: keyUid,
+      title: 'Champ Select Unavailable',
+      style: {
+        showImage: false,
+        showTitle: true
+      }
+    };
+    keyManager.simpleTextDraw(serialNumber, safeKey);
+  }
+}
+
+/**
+ * Handle champ select session updates (null when champ select ends)
+ * @param {object} keyManager Key manager instance
+ * @param {object|null} session Session from /lol-champ-select/v1/session
+ */
+async function handleChampSelectUpdate(keyManager, session) {
+  currentSession = session || null;
+  sessionReceivedAt = Date.now();
+
+  if (currentSession) {
+    if (!countdownTimer) {
+      startCountdown(keyManager);
+    }
+  } else {
+    stopCountdown();
+  }
+
+  await updateChampSelectKeys(keyManager);
+}
+
+module.exports = {
+  initializeChampSelectKey,
+  handleChampSelectUpdate,
+  stopCountdown
+};
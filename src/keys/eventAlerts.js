@@ -0,0 +1,241 @@
+/**
+ * Game Event Alerts
+ * Describes Live Client game events for the event feed and builds the flashing
+ * alert frames shown over keys with data.showAlerts enabled
+ */
+
+const { Canvas } = require('skia-canvas');
+const logger = require('../utils/logger');
+const canvasUtils = require('./canvasUtils');
+const { getTeamForName } = require('./objectiveTimers');
+
+// Colors from the local player's point of view
+const TONE_COLORS = {
+  ally: '#0AC8B9',
+  enemy: '#E84057',
+  neutral: '#C89B3C'
+};
+
+const MULTIKILL_NAMES = {
+  2: 'DOUBLE KILL',
+  3: 'TRIPLE KILL',
+  4: 'QUADRA KILL',
+  5: 'PENTAKILL'
+};
+
+/**
+ * Get the local player's team
+ */
+function getLocalTeam(snapshot) {
+  const activePlayer = snapshot?.activePlayer;
+  if (!activePlayer) {
+    return null;
+  }
+  return getTeamForName(snapshot.allPlayers, activePlayer.riotId)
+    || getTeamForName(snapshot.allPlayers, activePlayer.summonerName);
+}
+
+/**
+ * Check if an event name refers to the local player
+ */
+function isLocalPlayer(snapshot, name) {
+  const activePlayer = snapshot?.activePlayer;
+  return !!activePlayer && !!name && (name === activePlayer.riotId || name === activePlayer.summonerName);
+}
+
+/**
+ * Short display name for an event actor: the champion for players, otherwise the unit type
+ */
+function getDisplayName(snapshot, name) {
+  if (!name) return 'Unknown';
+
+  const player = (snapshot?.allPlayers || []).find(p => p.riotId === name || p.summonerName === name);
+  if (player) return player.championName;
+
+  if (name.startsWith('Minion')) return 'Minions';
+  if (name.startsWith('Turret')) return 'Turret';
+  if (name.startsWith('SRU_')) return 'Monster';
+  return name.split('#')[0];
+}
+
+/**
+ * Tone for something done by a team
+ */
+function getTeamTone(localTeam, team) {
+  if (!localTeam || !team) return 'neutral';
+  return team === localTeam ? 'ally' : 'enemy';
+}
+
+/**
+ * Tone for a structure being destroyed or respawning (Turret_T1_... and Barracks_T1_... belong to ORDER)
+ */
+function getStructureTone(localTeam, structure, destroyed = true) {
+  const owner = /_T1_/.test(structure || '') ? 'ORDER' : /_T2_/.test(structure || '') ? 'CHAOS' : null;
+  if (!localTeam || !owner) return 'neutral';
+  return (owner === localTeam) === destroyed ? 'enemy' : 'ally';
+}
+
+/**
+ * Describe a game event
+ * @param {object} event Live Client event
+ * @param {object} snapshot allgamedata snapshot the event came from
+ * @returns {{ text: string, tone: string, alert: { title: string, subtitle: string, priority: number }|null }|null}
+ */
+function describeEvent(event, snapshot) {
+  const localTeam = getLocalTeam(snapshot);
+  const teamOf = (name) => getTeamForName(snapshot?.allPlayers, name);
+  const name = (actor) => getDisplayName(snapshot, actor);
+
+  switch (event.EventName) {
+    case 'GameStart':
+      return { text: 'Game started', tone: 'neutral', alert: null };
+
+    case 'MinionsSpawning':
+      return { text: 'Minions spawned', tone: 'neutral', alert: null };
+
+    case 'FirstBlood':
+      return {
+        text: `First blood: ${name(event.Recipient)}`,
+        tone: getTeamTone(localTeam, teamOf(event.Recipient)),
+        alert: { title: 'FIRST BLOOD', subtitle: name(event.Recipient), priority: 3 }
+      };
+
+    case 'ChampionKill':
+      return {
+        text: `${name(event.KillerName)} killed ${name(event.VictimName)}`,
+        tone: getTeamTone(localTeam, teamOf(event.KillerName)),
+        alert: isLocalPlayer(snapshot, event.KillerName)
+          ? { title: 'KILL', subtitle: `You killed ${name(event.VictimName)}`, priority: 1 }
+          : null
+      };
+
+    case 'Multikill': {
+      const title = MULTIKILL_NAMES[event.KillStreak] || `${event.KillStreak}x KILL`;
+      return {
+        text: `${name(event.KillerName)}: ${title.toLowerCase()}`,
+        tone: getTeamTone(localTeam, teamOf(event.KillerName)),
+        alert: { title, subtitle: name(event.KillerName), priority: 2 + (event.KillStreak || 2) }
+      };
+    }
+
+    case 'Ace': {
+      const tone = getTeamTone(localTeam, event.AcingTeam);
+      return {
+        text: `Ace by ${name(event.Acer)}`,
+        tone,
+        alert: { title: 'ACE', subtitle: tone === 'enemy' ? 'Enemy team aced' : `by ${name(event.Acer)}`, priority: 8 }
+      };
+    }
+
+    case 'InhibKilled': {
+      const tone = getStructureTone(localTeam, event.InhibKilled);
+      return {
+        text: `${name(event.KillerName)} destroyed an inhibitor`,
+        tone,
+        alert: { title: 'INHIBITOR DOWN', subtitle: tone === 'enemy' ? 'Ally inhibitor lost' : 'Enemy inhibitor destroyed', priority: 5 }
+      };
+    }
+
+    case 'InhibRespawned':
+      return { text: 'Inhibitor respawned', tone: getStructureTone(localTeam, event.InhibRespawned, false), alert: null };
+
+    case 'TurretKilled': {
+      const tone = getStructureTone(localTeam, event.TurretKilled);
+      return {
+        text: `${name(event.KillerName)} destroyed a turret`,
+        tone,
+        alert: { title: 'TURRET DOWN', subtitle: tone === 'enemy' ? 'Ally turret lost' : 'Enemy turret destroyed', priority: 2 }
+      };
+    }
+
+    case 'DragonKill':
+      return {
+        text: `${name(event.KillerName)} slew the ${event.DragonType === 'Elder' ? 'Elder' : event.DragonType} dragon`,
+        tone: getTeamTone(localTeam, teamOf(event.KillerName)),
+        alert: null
+      };
+
+    case 'HeraldKill':
+      return { text: `${name(event.KillerName)} slew the Herald`, tone: getTeamTone(localTeam, teamOf(event.KillerName)), alert: null };
+
+    case 'HordeKill':
+      return { text: `${name(event.KillerName)} slew a Void Grub`, tone: getTeamTone(localTeam, teamOf(event.KillerName)), alert: null };
+
+    case 'BaronKill':
+      return { text: `${name(event.KillerName)} slew Baron`, tone: getTeamTone(localTeam, teamOf(event.KillerName)), alert: null };
+
+    case 'GameEnd':
+      return { text: event.Result === 'Win' ? 'Victory' : 'Defeat', tone: event.Result === 'Win' ? 'ally' : 'enemy', alert: null };
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Pick the most important alert among new events
+ * @returns {{ title: string, subtitle: string, tone: string }|null}
+ */
+function getEventAlert(events, snapshot) {
+  let best = null;
+
+  for (const event of events || []) {
+    const description = describeEvent(event, snapshot);
+    if (description && description.alert && (!best || description.alert.priority >= best.priority)) {
+      best = { ...description.alert, tone: description.tone };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Create one alert frame
+ */
+function createAlertCanvas(alert, width, height, inverted) {
+  const color = TONE_COLORS[alert.tone] || TONE_COLORS.neutral;
+  const canvas = new Canvas(width, height);
+  const ctx = canvas.getContext('2d');
+
+  canvasUtils.drawKeyBackground(ctx, width, height, inverted ? color : '#0A1428', !inverted);
+
+  ctx.fillStyle = inverted ? '#FFFFFF' : color;
+  ctx.font = 'bold 22px Arial';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(alert.title, width / 2, height / 2 - 7);
+
+  ctx.fillStyle = inverted ? '#0A1428' : '#F0E6D2';
+  ctx.font = '11px Arial';
+  ctx.fillText(alert.subtitle || '', width / 2, height / 2 + 15);
+
+  return canvas;
+}
+
+/**
+ * Build the flashing frames for an alert on a key
+ * @returns {Promise<string[]>} Image data URLs
+ */
+async function createEventAlertFrames(alert, key) {
+  const width = key.width || 360;
+  const height = key.height || 60;
+
+  try {
+    const frames = await Promise.all([
+      canvasUtils.canvasToDataURL(createAlertCanvas(alert, width, height, true)),
+      canvasUtils.canvasToDataURL(createAlertCanvas(alert, width, height, false))
+    ]);
+    return frames.filter(Boolean);
+  } catch (error) {
+    logger.error('Failed to create event alert frames:', error);
+    return [];
+  }
+}
+
+module.exports = {
+  TONE_COLORS,
+  getDisplayName,
+  describeEvent,
+  getEventAlert,
+  createEventAlertFrames
+};
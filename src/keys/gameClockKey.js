@@ -0,0 +1,309 @@
+/**
+ * Game Clock Key Implementation
+ * In game: the game clock with the game mode and map (from the Live Client gameData,
+ * the same data as /liveclientdata/gamestats). Outside of games: the gameflow phase
+ * and how long the client has been in it
+ */
+
+const { Canvas } = require('skia-canvas');
+const logger = require('../utils/logger');
+const { client, initializeClient } = require('../lol');
+const canvasUtils = require('./canvasUtils');
+
+const GAME_CLOCK_CID = 'com.sondrenjaastad.leagueoflegends.gameclock';
+
+// Display names for gameflow phases
+const PHASE_LABELS = {
+  None: 'Idle',
+  Lobby: 'Lobby',
+  Matchmaking: 'In Queue',
+  CheckedIntoTournament: 'Clash Lobby',
+  ReadyCheck: 'Match Found',
+  ChampSelect: 'Champ Select',
+  GameStart: 'Loading',
+  InProgress: 'In Game',
+  Reconnect: 'Reconnect',
+  WaitingForStats: 'Waiting for Stats',
+  PreEndOfGame: 'Post Game',
+  EndOfGame: 'Post Game'
+};
+
+// Display names for Live Client gameMode values
+const GAME_MODES = {
+  CLASSIC: 'Classic',
+  ARAM: 'ARAM',
+  URF: 'URF',
+  ARURF: 'ARURF',
+  ONEFORALL: 'One for All',
+  NEXUSBLITZ: 'Nexus Blitz',
+  CHERRY: 'Arena',
+  SWIFTPLAY: 'Swiftplay',
+  ULTBOOK: 'Ultimate Spellbook',
+  PRACTICETOOL: 'Practice Tool',
+  TUTORIAL: 'Tutorial'
+};
+
+// Display names for Live Client mapName values
+const MAP_NAMES = {
+  Map11: "Summoner's Rift",
+  Map12: 'Howling Abyss',
+  Map21: 'Nexus Blitz',
+  Map30: 'Rings of Wrath'
+};
+
+// Latest gameflow phase and when it started
+let currentPhase = null;
+let phaseStartedAt = null;
+
+// Latest live game data and when it arrived
+let currentGameData = null;
+let gameDataReceivedAt = 0;
+
+// Redraws the clock every second
+let tickTimer = null;
+
+/**
+ * What the key shows right now: { title, subtitle, time, accentColor }
+ */
+function getClockDisplay() {
+  if (currentPhase === 'InProgress' && currentGameData) {
+    return {
+      title: GAME_MODES[currentGameData.gameMode] || currentGameData.gameMode || 'In Game',
+      subtitle: MAP_NAMES[currentGameData.mapName] || currentGameData.mapName || '',
+      time: (currentGameData.gameTime || 0) + (Date.now() - gameDataReceivedAt) / 1000,
+      accentColor: '#0AC8B9'
+    };
+  }
+
+  if (!currentPhase || currentPhase === 'None') {
+    return { title: 'Game Clock', subtitle: 'Not in a lobby or game', time: null, accentColor: '#C89B3C' };
+  }
+
+  return {
+    title: PHASE_LABELS[currentPhase] || currentPhase,
+    subtitle: currentPhase === 'InProgress' ? 'Waiting for game data' : 'Time in phase',
+    time: phaseStartedAt ? (Date.now() - phaseStartedAt) / 1000 : null,
+    accentColor: currentPhase === 'Reconnect' ? '#E84057' : '#C89B3C'
+  };
+}
+
+/**
+ * Creates the game clock key canvas
+ * @param {object} config - Configuration object
+ * @returns {Promise<Canvas>} - Canvas object
+ */
+async function createGameClockCanvas(config) {
+  const {
+    width = 360,
+    height = 60,
+    display,
+    backgroundColor = '#0A1428'
+  } = config;
+
+  try {
+    const canvas = new Canvas(width, height);
+    const ctx = canvas.getContext('2d');
+    const padding = 8;
+
+    canvasUtils.drawKeyBackground(ctx, width, height, backgroundColor);
+
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = display.accentColor;
+    ctx.font = 'bold 18px Arial';
+    ctx.fillText(display.title, padding, padding);
+
+    ctx.fillStyle = '#A09B8C';
+    ctx.font = '11px Arial';
+    ctx.fillText(display.subtitle, padding, padding + 24);
+
+    if (display.time !== null) {
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'middle';
+      ctx.fillStyle = '#F0E6D2';
+      ctx.font = 'bold 26px Arial';
+      ctx.fillText(canvasUtils.formatDuration(display.time), width - padding, height / 2);
+    }
+
+    return canvas;
+  } catch (error) {
+    logger.error('Failed to create game clock canvas:', error);
+    return canvasUtils.createFallbackCanvas(width, height, 'Game Clock');
+  }
+}
+
+/**
+ * Render a game clock key
+ */
+async function renderGameClockKey(serialNumber, keyManager, key) {
+  const canvas = await createGameClockCanvas({
+    width: key.width || 360,
+    height: key.height || 60,
+    display: getClockDisplay(),
+    backgroundColor: key.style?.backgroundColor || '#0A1428'
+  });
+  const buttonDataUrl = await canvasUtils.canvasToDataURL(canvas);
+
+  if (buttonDataUrl) {
+    const safeKey = {
+      uid: key.uid,
+      width: key.width,
+      style: {
+        ...(key.style || {}),
+        showImage: true,
+        showTitle: false,
+        showIcon: false,
+        showEmoji: false
+      }
+    };
+    keyManager.simpleDraw(serialNumber, safeKey, buttonDataUrl);
+  }
+}
+
+/**
+ * Re-render every active game clock key
+ */
+async function updateGameClockKeys(keyManager) {
+  for (const keyId of Object.keys(keyManager.activeKeys)) {
+    const [serialNumber, keyUid] = keyId.split('-');
+    const key = keyManager.keyData[keyUid];
+
+    if (key && key.cid === GAME_CLOCK_CID) {
+      try {
+        await renderGameClockKey(serialNumber, keyManager, key);
+      } catch (error) {
+        logger.error(`Failed to update game clock key ${keyId}:`, error);
+      }
+    }
+  }
+}
+
+/**
+ * Keep the timer running only while there is a clock to show
+ */
+function syncTicker(keyManager) {
+  const counting = getClockDisplay().time !== null;
+
+  if (counting && !tickTimer) {
+    tickTimer = setInterval(() => {
+      // The phase is unknown once the client goes away; leave the keys to the offline state
+      if (!client.isAvailable()) {
+        currentPhase = null;
+        currentGameData = null;
+        syncTicker(keyManager);
+        return;
+      }
+
+      updateGameClockKeys(keyManager).catch(error => {
+        logger.debug('Game clock update failed:', error.message);
+      });
+    }, 1000);
+  } else if (!counting) {
+    stopTicker();
+  }
+}
+
+/**
+ * Stop the timer
+ */
+function stopTicker() {
+  if (tickTimer) {
+    clearInterval(tickTimer);
+    tickTimer = null;
+  }
+}
+
+/**
+ * Initialize a game clock key
+ * @param {string} serialNumber Device serial number
+ * @param {object} keyManager Key manager instance
+ * @param {object} key Key data
+ */
+async function initializeGameClockKey(serialNumber, keyManager, key) {
+  const keyUid = key.uid;
+  const keyId = `${serialNumber}-${keyUid}`;
+
+  try {
+    await initializeClient();
+
+    // Check if client is available for API calls
+    if (!client.isAvailable()) {
+      logger.info(`League client not available for game clock key ${keyId}, showing offline state`);
+      const safeKey = {
+        uid: keyUid,
+        width: key.width,
+        title: 'League Offline',
+        style: {
+          ...(key.style || {}),
+          showImage: false,
+          showTitle: true,
+          backgroundColor: '#8B0000' // Dark red background
+        }
+      };
+      keyManager.simpleTextDraw(serialNumber, safeKey);
+      return;
+    }
+
+    // Store key data
+    keyManager.keyData[keyUid] = key;
+    keyManager.activeKeys[keyId] = true;
+
+    syncTicker(keyManager);
+    await renderGameClockKey(serialNumber, keyManager, key);
+
+  } catch (error) {
+    logger.error('Error initializing game clock key:', error);
+
+    const safeKey = {
+      uid: keyUid,
+      title: 'Game Clock Unavailable',
+      style: {
+        showImage: false,
+        showTitle: true
+      }
+    };
+    keyManager.simpleTextDraw(serialNumber, safeKey);
+  }
+}
+
+/**
+ * Handle gameflow phase changes
+ * @param {object} keyManager Key manager instance
+ * @param {string} phase Gameflow phase
+ */
+async function handleGameClockPhaseUpdate(keyManager, phase) {
+  if (phase !== currentPhase) {
+    currentPhase = phase;
+    phaseStartedAt = Date.now();
+  }
+
+  if (phase !== 'InProgress') {
+    currentGameData = null;
+  }
+
+  syncTicker(keyManager);
+  await updateGameClockKeys(keyManager);
+}
+
+/**
+ * Handle a live game snapshot (null when the game has ended)
+ * @param {object} keyManager Key manager instance
+ * @param {object|null} snapshot allgamedata snapshot
+ */
+async function handleGameClockLiveUpdate(keyManager, snapshot) {
+  currentGameData = (snapshot && snapshot.gameData) || null;
+  gameDataReceivedAt = Date.now();
+
+  // The ticker redraws between snapshots, so only redraw here when it isn't running
+  syncTicker(keyManager);
+  if (!tickTimer) {
+    await updateGameClockKeys(keyManager);
+  }
+}
+
+module.exports = {
+  initializeGameClockKey,
+  handleGameClockPhaseUpdate,
+  handleGameClockLiveUpdate,
+  stopTicker
+};
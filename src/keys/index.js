@@ -3,41 +3,19 @@
  * Exports all key implementations for easy importing
  */
 
-const logger = require('../utils/logger');
 const summonerKey = require('./summonerKey');
 const rankKey = require('./rankKey');
+const apexLeague = require('./apexLeague');
 const walletKey = require('./walletKey');
 const liveGameKeys = require('./liveGameKeys');
-
-/**
- * Game Stats Key stub implementation
- * @param {string} serialNumber Device serial number
- * @param {object} keyManager Key manager instance
- * @param {object} key Key data
- */
-async function initializeGameStatsKey(serialNumber, keyManager, key) {
-  const keyUid = key.uid;
-  logger.info(`Game stats key not implemented for ${serialNumber}-${keyUid}, showing placeholder`);
-  
-  const safeKey = {
-    uid: keyUid,
-    width: key.width,
-    title: 'Game Stats Coming Soon',
-    style: {
-      ...(key.style || {}),
-      showImage: false,
-      showTitle: true
-    }
-  };
-  keyManager.simpleTextDraw(serialNumber, safeKey);
-}
-
-/**
- * Game Stats update handler stub
- */
-function handleGameStatsUpdate(keyManager, data) {
-  // Stub - not implemented
-}
+const champSelectKey = require('./champSelectKey');
+const readyCheckKey = require('./readyCheckKey');
+const queueKey = require('./queueKey');
+const eventAlerts = require('./eventAlerts');
+const gameClockKey = require('./gameClockKey');
+const postGameKey = require('./postGameKey');
+const rankedLadder = require('./rankedLadder');
+const sessionKey = require('./sessionKey');
 
 /**
  * Game flow update handler stub  
@@ -56,31 +34,72 @@ module.exports = {
   handleRankedUpdate: rankKey.handleRankedUpdate,
   handleRankKeyInteraction: rankKey.handleRankKeyInteraction,
   
+  // Apex League
+  setApexPuuid: apexLeague.setLocalPuuid,
+  
+  // Ranked Ladder
+  createLpHistoryRecord: rankedLadder.createLpHistoryRecord,
+  
   // Wallet Key
   initializeWalletKey: walletKey.initializeWalletKey,
   handleWalletUpdate: walletKey.handleWalletUpdate,
   
-  // Game Stats Key (stub - returns placeholder)
-  initializeGameStatsKey: async function(serialNumber, keyManager, key) {
-    const keyUid = key.uid;
-    logger.info(`Game stats key not implemented for ${serialNumber}-${keyUid}, showing placeholder`);
-    
-    const safeKey = {
-      uid: keyUid,
-      width: key.width,
-      title: 'Game Stats Coming Soon',
-      style: {
-        ...(key.style || {}),
-        showImage: false,
-        showTitle: true
-      }
-    };
-    keyManager.simpleTextDraw(serialNumber, safeKey);
-  },
+  // Queue Key
+  initializeQueueKey: queueKey.initializeQueueKey,
+  handleLobbyUpdate: queueKey.handleLobbyUpdate,
+  handleSearchStateUpdate: queueKey.handleSearchStateUpdate,
+  handleQueuePhaseUpdate: queueKey.handleQueuePhaseUpdate,
+  handleQueueInteraction: queueKey.handleQueueInteraction,
+  stopQueueTicker: queueKey.stopTicker,
+  
+  // Ready Check Key
+  initializeReadyCheckKey: readyCheckKey.initializeReadyCheckKey,
+  handleReadyCheckUpdate: readyCheckKey.handleReadyCheckUpdate,
+  handleReadyCheckInteraction: readyCheckKey.handleReadyCheckInteraction,
+  stopReadyCheckCountdown: readyCheckKey.stopCountdown,
+  
+  // Game Clock Key
+  initializeGameClockKey: gameClockKey.initializeGameClockKey,
+  handleGameClockPhaseUpdate: gameClockKey.handleGameClockPhaseUpdate,
+  handleGameClockLiveUpdate: gameClockKey.handleGameClockLiveUpdate,
+  stopGameClockTicker: gameClockKey.stopTicker,
+  
+  // Post Game Key
+  initializePostGameKey: postGameKey.initializePostGameKey,
+  handlePostGamePhaseUpdate: postGameKey.handlePostGamePhaseUpdate,
+  handlePostGameRankedUpdate: postGameKey.handlePostGameRankedUpdate,
+  
+  // Session Key
+  initializeSessionKey: sessionKey.initializeSessionKey,
+  handleSessionPhaseUpdate: sessionKey.handleSessionPhaseUpdate,
+  handleSessionRankedUpdate: sessionKey.handleSessionRankedUpdate,
+  stopSessionTimer: sessionKey.stopSessionTimer,
+  
+  // Champion Select Key
+  initializeChampSelectKey: champSelectKey.initializeChampSelectKey,
+  handleChampSelectUpdate: champSelectKey.handleChampSelectUpdate,
+  stopChampSelectCountdown: champSelectKey.stopCountdown,
   
   // Live Game Keys
   initializeTeamKillsKey: liveGameKeys.initializeTeamKillsKey,
+  initializeTeamDiffKey: liveGameKeys.initializeTeamDiffKey,
   initializeKDAKey: liveGameKeys.initializeKDAKey,
   initializeWardScoreKey: liveGameKeys.initializeWardScoreKey,
-  handleLiveGameUpdate: liveGameKeys.handleLiveGameUpdate
+  initializeGameStatsKey: liveGameKeys.initializeGameStatsKey,
+  initializeItemsKey: liveGameKeys.initializeItemsKey,
+  initializeObjectivesKey: liveGameKeys.initializeObjectivesKey,
+  initializeEventFeedKey: liveGameKeys.initializeEventFeedKey,
+  initializeSpellTrackerKey: liveGameKeys.initializeSpellTrackerKey,
+  initializeSkillsKey: liveGameKeys.initializeSkillsKey,
+  initializeScoreboardKey: liveGameKeys.initializeScoreboardKey,
+  handleGameStatsInteraction: liveGameKeys.handleGameStatsInteraction,
+  handleSpellTrackerInteraction: liveGameKeys.handleSpellTrackerInteraction,
+  handleScoreboardInteraction: liveGameKeys.handleScoreboardInteraction,
+  handleLiveGameUpdate: liveGameKeys.handleLiveGameUpdate,
+  stopLiveGameCountdown: liveGameKeys.stopCountdownTicker,
+  getLiveGameSnapshot: liveGameKeys.getLiveGameSnapshot,
+  
+  // Game Event Alerts
+  getEventAlert: eventAlerts.getEventAlert,
+  createEventAlertFrames: eventAlerts.createEventAlertFrames
 }; 
\ No newline at end of file
@@ -1,66 +1,75 @@
 /**
  * Live Game Keys Implementation
- * Displays live match statistics: Team Kills, KDA, Ward Score, Minion Count
+ * Displays live match statistics: Team Kills, KDA, Ward Score, Gold & Items, Objective Timers
+ * and a configurable Game Stats key
+ * 
+ * All live keys render from the single /liveclientdata/allgamedata snapshot
+ * polled by LiveClientDataService and delivered through handleLiveGameUpdate.
  */
 
 const { Canvas } = require('skia-canvas');
 const logger = require('../utils/logger');
 const { client, initializeClient } = require('../lol');
+const gameData = require('../gameData');
 const canvasUtils = require('./canvasUtils');
+const { getObjectiveTimers } = require('./objectiveTimers');
+const { TONE_COLORS, getDisplayName, describeEvent } = require('./eventAlerts');
+const spellTracker = require('./spellTracker');
+const { ABILITIES, getSkillState } = require('./skillOrder');
 
-// Live client API base URL (always port 2999)
-const LIVE_CLIENT_BASE = 'https://127.0.0.1:2999';
+// Latest allgamedata snapshot (null when not in an active game) and when it arrived
+let currentSnapshot = null;
+let snapshotReceivedAt = 0;
 
-// Global timer for live game key updates
-let liveGameUpdateTimer = null;
-let lastGameStateCheck = 0;
-let cachedGameState = null;
+// Redraws keys with running countdowns (respawn, spell cooldowns) every second between snapshots
+let countdownTicker = null;
+let tickingCids = [];
+
+// Team colors (authentic LoL colors)
+const TEAM_COLORS = {
+  ORDER: '#199bdd', // Blue side
+  CHAOS: '#db4647' // Red side
+};
+
+// Live Client item slots: 0-5 are the inventory, 6 is the trinket
+const ITEM_SLOTS = 6;
+const TRINKET_SLOT = 6;
+
+// Events shown on the Event Feed key
+const FEED_LINES = 3;
+
+// Team shown by each Scoreboard key, by key id (0 = your team, 1 = the enemy team)
+const scoreboardPages = new Map();
+
+const KDA_CID = 'com.sondrenjaastad.leagueoflegends.kda';
+const SPELL_TRACKER_CID = 'com.sondrenjaastad.leagueoflegends.spelltracker';
 
 /**
- * Get current summoner's riot ID for live client queries
+ * Get the latest live game snapshot
  */
-async function getCurrentSummonerRiotId() {
-  try {
-    await initializeClient();
-    const summoner = await client.get('/lol-summoner/v1/current-summoner');
-    
-    if (summoner && summoner.gameName && summoner.tagLine) {
-      const riotId = `${summoner.gameName}#${summoner.tagLine}`;
-      return riotId;
-    }
-    return null;
-  } catch (error) {
-    logger.error('Failed to get current summoner riot ID:', error);
-    return null;
-  }
+function getLiveGameSnapshot() {
+  return currentSnapshot;
 }
 
 /**
- * Get player scores from live client API
+ * Find the local player's entry in the snapshot's player list
  */
-async function getPlayerScores(riotId) {
-  try {
-    await initializeClient();
-    const endpoint = `/liveclientdata/playerscores?riotId=${encodeURIComponent(riotId)}`;
-    const result = await client.getLiveClientData(endpoint);
-    return result;
-  } catch (error) {
-    logger.debug(`Failed to get player scores: ${error.message}`);
+function findActivePlayer(snapshot) {
+  if (!snapshot || !snapshot.activePlayer || !Array.isArray(snapshot.allPlayers)) {
     return null;
   }
+
+  const { riotId, summonerName } = snapshot.activePlayer;
+  return snapshot.allPlayers.find(p => 
+    (riotId && p.riotId === riotId) || (summonerName && p.summonerName === summonerName)
+  ) || null;
 }
 
 /**
- * Get all players from live client API
+ * Game time now, counting on from the latest snapshot
  */
-async function getPlayerList() {
-  try {
-    await initializeClient();
-    return await client.getLiveClientData('/liveclientdata/playerlist');
-  } catch (error) {
-    logger.debug(`Failed to get player list: ${error.message}`);
-    return null;
-  }
+function getCurrentGameTime(snapshot) {
+  return (snapshot?.gameData?.gameTime || 0) + (Date.now() - snapshotReceivedAt) / 1000;
 }
 
 /**
@@ -83,15 +92,32 @@ function calculateTeamKills(playerList) {
 }
 
 /**
- * Find current player's team from player list
+ * Estimate each team's item gold (from item prices) and CS from the player list
  */
-function findPlayerTeam(playerList, riotId) {
-  if (!playerList || !Array.isArray(playerList) || !riotId) {
-    return null;
+async function calculateTeamEconomy(playerList) {
+  const economy = { ORDER: { gold: 0, cs: 0 }, CHAOS: { gold: 0, cs: 0 } };
+  if (!playerList || !Array.isArray(playerList)) {
+    return economy;
+  }
+
+  for (const player of playerList) {
+    const team = economy[player.team];
+    if (!team) continue;
+
+    team.cs += (player.scores && player.scores.creepScore) || 0;
+
+    for (const entry of player.items || []) {
+      let item = null;
+      try {
+        item = await gameData.getItem(entry.itemID);
+      } catch (error) {
+        logger.debug(`Failed to look up item ${entry.itemID}:`, error.message);
+      }
+      team.gold += (item ? item.price : entry.price || 0) * (entry.count || 1);
+    }
   }
 
-  const player = playerList.find(p => p.riotId === riotId);
-  return player ? player.team : null;
+  return economy;
 }
 
 /**
@@ -173,9 +199,6 @@ async function createTeamKillsCanvas(config) {
     const centerX = width / 2;
     const centerY = height / 2;
 
-    // Team colors (authentic LoL colors)
-    const blueTeamColor = '#199bdd'; // Blue side (ORDER)
-    const redTeamColor = '#db4647'; // Red side (CHAOS) - LoL uses gold/red
     const vsColor = '#b9b28c';
 
     // Main score layout - "X vs Y" format
@@ -183,7 +206,7 @@ async function createTeamKillsCanvas(config) {
     const numberSpacing = 25;
 
     // Blue team kills (left)
-    ctx.fillStyle = blueTeamColor;
+    ctx.fillStyle = TEAM_COLORS.ORDER;
     ctx.font = 'bold 40px Arial';
     ctx.textAlign = 'right';
     ctx.textBaseline = 'middle';
@@ -196,11 +219,22 @@ async function createTeamKillsCanvas(config) {
     ctx.fillText('vs', centerX, scoreY);
 
     // Red team kills (right)
-    ctx.fillStyle = redTeamColor;
+    ctx.fillStyle = TEAM_COLORS.CHAOS;
     ctx.font = 'bold 40px Arial';
     ctx.textAlign = 'left';
     ctx.fillText(chaosKills.toString(), centerX + numberSpacing, scoreY);
 
+    // Underline the player's side
+    if (playerTeam === 'ORDER' || playerTeam === 'CHAOS') {
+      const isOrder = playerTeam === 'ORDER';
+      const scoreWidth = ctx.measureText((isOrder ? orderKills : chaosKills).toString()).width;
+      ctx.fillStyle = isOrder ? TEAM_COLORS.ORDER : TEAM_COLORS.CHAOS;
+      ctx.fillRect(
+        isOrder ? centerX - numberSpacing - scoreWidth : centerX + numberSpacing,
+        height - padding / 2 - 2, scoreWidth, 2
+      );
+    }
+
     return canvas;
   } catch (error) {
     logger.error('Failed to create team kills canvas:', error);
@@ -208,6 +242,96 @@ async function createTeamKillsCanvas(config) {
   }
 }
 
+/**
+ * Format gold as thousands ("12.3k")
+ */
+function formatThousands(value) {
+  return value >= 1000 ? `${(value / 1000).toFixed(1)}k` : String(Math.round(value));
+}
+
+/**
+ * Create a team comparison canvas: item gold with a blue-vs-red bar, then CS
+ * The player's side is drawn bold and outlined on the bar
+ */
+async function createTeamDiffCanvas(config) {
+  const {
+    width = 360,
+    height = 60,
+    economy,
+    playerTeam = null,
+    backgroundColor = '#0A1428',
+    secondaryColor = '#A09B8C'
+  } = config;
+
+  try {
+    const canvas = new Canvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    // Draw background
+    canvasUtils.drawKeyBackground(ctx, width, height, backgroundColor);
+
+    const padding = 8;
+    const barHeight = 6;
+    const barY = Math.round(height / 2 - barHeight / 2);
+    const fontFor = (team) => `${team === playerTeam ? 'bold ' : ''}14px Arial`;
+
+    const rows = [
+      { label: 'GOLD', order: economy.ORDER.gold, chaos: economy.CHAOS.gold, format: formatThousands, y: padding + 6 },
+      { label: 'CS', order: economy.ORDER.cs, chaos: economy.CHAOS.cs, format: String, y: height - padding - 6 }
+    ];
+
+    ctx.textBaseline = 'middle';
+    rows.forEach(row => {
+      ctx.font = fontFor('ORDER');
+      ctx.fillStyle = TEAM_COLORS.ORDER;
+      ctx.textAlign = 'left';
+      ctx.fillText(row.format(row.order), padding, row.y);
+
+      ctx.font = fontFor('CHAOS');
+      ctx.fillStyle = TEAM_COLORS.CHAOS;
+      ctx.textAlign = 'right';
+      ctx.fillText(row.format(row.chaos), width - padding, row.y);
+
+      // Label and difference in the leading team's color (center)
+      const diff = row.order - row.chaos;
+      const leader = diff > 0 ? 'ORDER' : diff < 0 ? 'CHAOS' : null;
+      ctx.font = '11px Arial';
+      drawTextSegments(ctx, [
+        { text: `${row.label} `, color: secondaryColor },
+        leader
+          ? { text: `+${row.format(Math.abs(diff))}`, color: TEAM_COLORS[leader] }
+          : { text: 'even', color: secondaryColor }
+      ], width / 2, row.y);
+    });
+
+    // Gold share bar
+    const total = economy.ORDER.gold + economy.CHAOS.gold;
+    const barWidth = width - padding * 2;
+    const orderWidth = Math.round(barWidth * (total > 0 ? economy.ORDER.gold / total : 0.5));
+
+    ctx.fillStyle = TEAM_COLORS.ORDER;
+    ctx.fillRect(padding, barY, orderWidth, barHeight);
+    ctx.fillStyle = TEAM_COLORS.CHAOS;
+    ctx.fillRect(padding + orderWidth, barY, barWidth - orderWidth, barHeight);
+
+    if (playerTeam === 'ORDER' || playerTeam === 'CHAOS') {
+      ctx.strokeStyle = '#F0E6D2';
+      ctx.lineWidth = 1;
+      ctx.strokeRect(
+        playerTeam === 'ORDER' ? padding + 0.5 : padding + orderWidth + 0.5,
+        barY + 0.5,
+        (playerTeam === 'ORDER' ? orderWidth : barWidth - orderWidth) - 1,
+        barHeight - 1
+      );
+    }
+
+    return canvas;
+  } catch (error) {
+    logger.error('Failed to create team diff canvas:', error);
+    return canvasUtils.createFallbackCanvas(width, height, 'Error');
+  }
+}
+
 /**
  * Create a KDA canvas with kill/death/assist stats
  */
@@ -266,41 +390,20 @@ async function createKDACanvas(config) {
 }
 
 /**
- * Check if currently in an active game
- */
-async function isInActiveGame() {
-  try {
-    // Use cached result if it's less than 2 seconds old
-    const now = Date.now();
-    if (cachedGameState !== null && (now - lastGameStateCheck) < 2000) {
-      return cachedGameState;
-    }
-
-    await initializeClient();
-    const gameFlow = await client.get('/lol-gameflow/v1/gameflow-phase');
-    const isInGame = gameFlow === 'InProgress';
-    
-    // Cache the result
-    cachedGameState = isInGame;
-    lastGameStateCheck = now;
-    
-    return isInGame;
-  } catch (error) {
-    logger.debug(`Failed to get game flow phase: ${error.message}`);
-    // Don't update cache on error, use previous cached value if available
-    return cachedGameState !== null ? cachedGameState : false;
-  }
-}
-
-/**
- * Create a "not in game" canvas for live client keys
+ * Create a respawn countdown canvas with the killer's portrait, shown on the KDA key while dead
  */
-async function createNotInGameCanvas(config) {
+async function createRespawnCanvas(config) {
   const {
     width = 360,
     height = 60,
-    title = 'Live Stats',
-    backgroundColor = '#0A1428'
+    timeLeft = 0,
+    killerName = null,
+    killerIcon = null,
+    kills = 0,
+    deaths = 0,
+    assists = 0,
+    backgroundColor = '#2A0B12',
+    secondaryColor = '#A09B8C'
   } = config;
 
   try {
@@ -310,291 +413,1129 @@ async function createNotInGameCanvas(config) {
     // Draw background
     canvasUtils.drawKeyBackground(ctx, width, height, backgroundColor);
 
-    const centerX = width / 2;
-    const centerY = height / 2;
+    const padding = 8;
+    const iconSize = height - padding * 2;
+    let textX = padding;
 
-    // Title
-    ctx.fillStyle = '#A09B8C';
-    ctx.font = '10px Arial';
-    ctx.textAlign = 'center';
+    // Killer portrait (left)
+    if (killerIcon) {
+      canvasUtils.drawIcon(ctx, killerIcon, padding, padding, iconSize, 3);
+      canvasUtils.drawIconBorder(ctx, padding, padding, iconSize, 3, '#E84057', 2);
+      textX += iconSize + padding;
+    }
+
+    ctx.textAlign = 'left';
     ctx.textBaseline = 'top';
-    ctx.fillText(title.toUpperCase(), centerX, 8);
+    ctx.fillStyle = secondaryColor;
+    ctx.font = '10px Arial';
+    ctx.fillText('RESPAWN IN', textX, padding);
 
-    // Main "not in game" message
-    ctx.fillStyle = '#5A5A5A';
-    ctx.font = 'bold 16px Arial';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText('Not In Game', centerX, centerY);
+    ctx.fillStyle = '#F0E6D2';
+    ctx.font = 'bold 24px Arial';
+    ctx.fillText(canvasUtils.formatDuration(Math.ceil(timeLeft)), textX, padding + 14);
 
-    // Subtitle
-    ctx.fillStyle = '#404040';
-    ctx.font = '9px Arial';
+    // Killer and current KDA (right)
+    ctx.textAlign = 'right';
+    if (killerName) {
+      ctx.fillStyle = '#E84057';
+      ctx.font = '11px Arial';
+      ctx.fillText(`Killed by ${killerName}`, width - padding, padding);
+    }
+
+    ctx.fillStyle = secondaryColor;
+    ctx.font = '12px Arial';
     ctx.textBaseline = 'bottom';
-    ctx.fillText('Start a match to see live stats', centerX, height - 8);
+    ctx.fillText(`${kills}/${deaths}/${assists}`, width - padding, height - padding);
 
     return canvas;
   } catch (error) {
-    logger.error('Failed to create not in game canvas:', error);
+    logger.error('Failed to create respawn canvas:', error);
     return canvasUtils.createFallbackCanvas(width, height, 'Error');
   }
 }
 
-// ============================================
-// TEAM KILLS KEY
-// ============================================
-
 /**
- * Initialize Team Kills key
+ * Create the spell tracker canvas: one column per enemy with their two summoner spells
+ * Spells on cooldown are dimmed with the seconds remaining
  */
-async function initializeTeamKillsKey(serialNumber, keyManager, key) {
-  const keyUid = key.uid;
-  const keyId = `${serialNumber}-${keyUid}`;
+async function createSpellTrackerCanvas(config) {
+  const {
+    width = 720,
+    height = 60,
+    enemies = [],
+    backgroundColor = '#0A1428',
+    secondaryColor = '#A09B8C'
+  } = config;
 
   try {
-    await initializeClient();
-    
-    // Check if client is available for API calls
-    if (!client.isAvailable()) {
-      logger.info(`League client not available for team kills key ${keyId}, showing offline state`);
-      const safeKey = {
-        uid: keyUid,
-        width: key.width,
-        title: 'League Offline',
-        style: {
-          ...(key.style || {}),
-          showImage: false,
-          showTitle: true,
-          backgroundColor: '#8B0000' // Dark red background
+    const canvas = new Canvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    // Draw background
+    canvasUtils.drawKeyBackground(ctx, width, height, backgroundColor);
+
+    const columnWidth = width / 5;
+    const segmentWidth = columnWidth / 2;
+    const iconSize = Math.min(height - 20, segmentWidth - 8);
+    const iconY = height - iconSize - 4;
+
+    enemies.forEach((enemy, column) => {
+      const columnX = columnWidth * column;
+
+      // Champion name (top)
+      ctx.fillStyle = secondaryColor;
+      ctx.font = '10px Arial';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      ctx.fillText(enemy.championName || '', columnX + columnWidth / 2, 3, columnWidth - 4);
+
+      enemy.spells.forEach((spell, slot) => {
+        const x = columnX + segmentWidth * slot + (segmentWidth - iconSize) / 2;
+        const onCooldown = spell.remaining > 0;
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+        canvasUtils.drawRoundedRect(ctx, x, iconY, iconSize, iconSize, 3);
+
+        if (spell.icon) {
+          ctx.save();
+          ctx.globalAlpha = onCooldown ? 0.3 : 1;
+          canvasUtils.drawIcon(ctx, spell.icon, x, iconY, iconSize, 3);
+          ctx.restore();
+        } else {
+          ctx.fillStyle = onCooldown ? '#5B5A56' : '#F0E6D2';
+          ctx.font = '9px Arial';
+          ctx.textBaseline = 'middle';
+          ctx.fillText(spell.name, x + iconSize / 2, iconY + iconSize / 2, iconSize - 2);
         }
-      };
-      keyManager.simpleTextDraw(serialNumber, safeKey);
-      return;
-    }
-    
-    // Store key data
-    keyManager.keyData[keyUid] = key;
-    keyManager.activeKeys[keyId] = true;
 
-    // Check if we're in an active game first
-    const inActiveGame = await isInActiveGame();
-    
-    let canvas;
-    if (!inActiveGame) {
-      // Not in active game - show "not in game" state
-      canvas = await createNotInGameCanvas({
-        width: key.width || 360,
-        height: key.height || 60,
-        title: 'Team Kills',
-        backgroundColor: key.style?.backgroundColor || '#0A1428'
+        if (onCooldown) {
+          ctx.fillStyle = '#F0E6D2';
+          ctx.font = 'bold 14px Arial';
+          ctx.textBaseline = 'middle';
+          ctx.fillText(String(Math.ceil(spell.remaining)), x + iconSize / 2, iconY + iconSize / 2);
+        }
       });
-    } else {
-      // In active game - get live data
-      const playerList = await getPlayerList();
-      const teamKills = calculateTeamKills(playerList);
-      
-      const riotId = await getCurrentSummonerRiotId();
-      const playerTeam = findPlayerTeam(playerList, riotId);
-
-      if (playerList && teamKills) {
-        canvas = await createTeamKillsCanvas({
-          width: key.width || 360,
-          height: key.height || 60,
-          orderKills: teamKills.ORDER,
-          chaosKills: teamKills.CHAOS,
-          playerTeam: playerTeam,
-          backgroundColor: key.style?.backgroundColor || '#0A1428'
-        });
-      } else {
-        // API call failed - show not in game state
-        canvas = await createNotInGameCanvas({
-          width: key.width || 360,
-          height: key.height || 60,
-          title: 'Team Kills',
-          backgroundColor: key.style?.backgroundColor || '#0A1428'
-        });
-      }
-    }
 
-    // Convert to data URL and display
-    const dataUrl = await canvasUtils.canvasToDataURL(canvas);
-    if (dataUrl) {
-      const safeKey = {
-        uid: keyUid,
-        width: key.width,
-        height: key.height,
-        style: { 
-          ...(key.style || {}),
-          showImage: true,
-          showTitle: false,
-          showIcon: false,
-          showEmoji: false
-        }
-      };
-      
-      keyManager.simpleDraw(serialNumber, safeKey, dataUrl);
-      
-      // If we're in an active game, ensure the update timer is running
-      if (inActiveGame) {
-        startLiveGameUpdateTimer(keyManager);
+      // Column divider
+      if (column > 0) {
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.fillRect(columnX, 4, 1, height - 8);
       }
-    }
-    
+    });
+
+    return canvas;
   } catch (error) {
-    logger.error('Error initializing team kills key:', error);
-    
-    const safeKey = {
-      uid: keyUid,
-      title: 'Team Kills Unavailable',
-      style: { showImage: false, showTitle: true }
-    };
-    keyManager.simpleTextDraw(serialNumber, safeKey);
+    logger.error('Failed to create spell tracker canvas:', error);
+    return canvasUtils.createFallbackCanvas(width, height, 'Error');
   }
 }
 
-// ============================================
-// KDA KEY
-// ============================================
-
 /**
- * Initialize KDA key
+ * Create the skills canvas: level and unspent points, then Q/W/E/R ranks with the suggested ability highlighted
  */
-async function initializeKDAKey(serialNumber, keyManager, key) {
-  const keyUid = key.uid;
-  const keyId = `${serialNumber}-${keyUid}`;
+async function createSkillsCanvas(config) {
+  const {
+    width = 360,
+    height = 60,
+    skills,
+    backgroundColor = '#0A1428',
+    accentColor = '#C89B3C',
+    secondaryColor = '#A09B8C'
+  } = config;
 
   try {
-    await initializeClient();
-    
-    // Check if client is available for API calls
-    if (!client.isAvailable()) {
-      logger.info(`League client not available for KDA key ${keyId}, showing offline state`);
-      const safeKey = {
-        uid: keyUid,
-        width: key.width,
-        title: 'League Offline',
-        style: {
-          ...(key.style || {}),
-          showImage: false,
-          showTitle: true,
-          backgroundColor: '#8B0000' // Dark red background
-        }
-      };
-      keyManager.simpleTextDraw(serialNumber, safeKey);
-      return;
+    const canvas = new Canvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    // Draw background
+    canvasUtils.drawKeyBackground(ctx, width, height, backgroundColor);
+
+    const padding = 8;
+    const levelAreaWidth = 64;
+
+    // Level and unspent skill points (left)
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = secondaryColor;
+    ctx.font = '10px Arial';
+    ctx.fillText('LEVEL', padding, padding);
+
+    ctx.fillStyle = '#F0E6D2';
+    ctx.font = 'bold 20px Arial';
+    ctx.fillText(String(skills.level), padding, padding + 12);
+
+    if (skills.points > 0) {
+      ctx.fillStyle = accentColor;
+      ctx.font = 'bold 10px Arial';
+      ctx.textBaseline = 'bottom';
+      ctx.fillText(`+${skills.points} point${skills.points > 1 ? 's' : ''}`, padding, height - 4);
     }
-    
-    // Store key data
-    keyManager.keyData[keyUid] = key;
-    keyManager.activeKeys[keyId] = true;
 
-    // Check if we're in an active game first
-    const inActiveGame = await isInActiveGame();
-    
-    let canvas;
-    if (!inActiveGame) {
-      // Not in active game - show "not in game" state
-      canvas = await createNotInGameCanvas({
-        width: key.width || 360,
-        height: key.height || 60,
-        title: 'KDA',
-        backgroundColor: key.style?.backgroundColor || '#0A1428'
-      });
-    } else {
-      // In active game - get live data
-      const riotId = await getCurrentSummonerRiotId();
-      
-      if (riotId) {
-        const scores = await getPlayerScores(riotId);
-        if (scores) {
-          const { kills = 0, deaths = 0, assists = 0 } = scores;
-          const displayText = `${kills}/${deaths}/${assists}`;
-          
-          // Calculate KDA ratio
-          const kda = deaths === 0 ? (kills + assists) : ((kills + assists) / deaths);
-          const subtitle = `KDA: ${kda.toFixed(2)}`;
-
-          // Create canvas with live data
-          canvas = await createKDACanvas({
-            width: key.width || 360,
-            height: key.height || 60,
-            kills,
-            deaths,
-            assists,
-            backgroundColor: key.style?.backgroundColor || '#0A1428'
-          });
-        } else {
-          // API call failed
-          canvas = await createNotInGameCanvas({
-            width: key.width || 360,
-            height: key.height || 60,
-            title: 'KDA',
-            backgroundColor: key.style?.backgroundColor || '#0A1428'
-          });
-        }
-      } else {
-        // No summoner ID
-        canvas = await createNotInGameCanvas({
-          width: key.width || 360,
-          height: key.height || 60,
-          title: 'KDA',
-          backgroundColor: key.style?.backgroundColor || '#0A1428'
-        });
+    // One column per ability
+    const columnWidth = (width - levelAreaWidth - padding) / ABILITIES.length;
+    const pipGap = 3;
+
+    ABILITIES.forEach((ability, index) => {
+      const x = levelAreaWidth + columnWidth * index;
+      const centerX = x + columnWidth / 2;
+      const suggested = skills.suggestion === ability;
+
+      if (suggested) {
+        ctx.fillStyle = 'rgba(200, 155, 60, 0.2)';
+        canvasUtils.drawRoundedRect(ctx, x + 2, 4, columnWidth - 4, height - 8, 4);
+        canvasUtils.drawIconBorder(ctx, x + 2, 4, columnWidth - 4, 4, accentColor, 1);
       }
-    }
 
-    // Convert to data URL and display
-    const dataUrl = await canvasUtils.canvasToDataURL(canvas);
-    if (dataUrl) {
-      const safeKey = {
-        uid: keyUid,
-        width: key.width,
-        style: { 
-          ...(key.style || {}),
-          showImage: true,
-          showTitle: false,
-          showIcon: false,
-          showEmoji: false
-        }
-      };
-      
-      keyManager.simpleDraw(serialNumber, safeKey, dataUrl);
-      
-      // If we're in an active game, ensure the update timer is running
-      if (inActiveGame) {
-        startLiveGameUpdateTimer(keyManager);
+      ctx.fillStyle = suggested ? accentColor : '#F0E6D2';
+      ctx.font = 'bold 18px Arial';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(ability, centerX, height / 2 - 6);
+
+      // Rank pips
+      const maxRank = skills.maxRanks[ability];
+      const pipWidth = Math.min(10, (columnWidth - 16 - pipGap * (maxRank - 1)) / maxRank);
+      const pipsX = centerX - (pipWidth * maxRank + pipGap * (maxRank - 1)) / 2;
+      for (let rank = 0; rank < maxRank; rank++) {
+        ctx.fillStyle = rank < skills.ranks[ability]
+          ? (ability === 'R' ? '#F0E6D2' : accentColor)
+          : 'rgba(255, 255, 255, 0.15)';
+        ctx.fillRect(pipsX + rank * (pipWidth + pipGap), height - 16, pipWidth, 4);
       }
-    }
-    
+    });
+
+    return canvas;
   } catch (error) {
-    logger.error('Error initializing KDA key:', error);
-    
-    const safeKey = {
-      uid: keyUid,
-      title: 'KDA Unavailable',
-      style: { showImage: false, showTitle: true }
-    };
-    keyManager.simpleTextDraw(serialNumber, safeKey);
+    logger.error('Failed to create skills canvas:', error);
+    return canvasUtils.createFallbackCanvas(width, height, 'Error');
   }
 }
 
-// ============================================
-// WARD SCORE KEY
+/**
+ * Create a scoreboard canvas for one team: portrait with level, K/D/A and CS for each player
+ */
+async function createScoreboardCanvas(config) {
+  const {
+    width = 720,
+    height = 60,
+    team = 'ORDER',
+    players = [],
+    backgroundColor = '#0A1428',
+    secondaryColor = '#A09B8C'
+  } = config;
+
+  try {
+    const canvas = new Canvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    // Draw background
+    canvasUtils.drawKeyBackground(ctx, width, height, backgroundColor);
+
+    // Team color along the left edge
+    ctx.fillStyle = TEAM_COLORS[team] || secondaryColor;
+    ctx.fillRect(0, 0, 4, height);
+
+    const padding = 8;
+    const columnWidth = (width - 4) / 5;
+    const iconSize = height - padding * 2;
+
+    players.forEach((player, index) => {
+      const x = 4 + columnWidth * index + padding / 2;
+
+      // Portrait, dimmed while dead, with the level in the corner
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+      canvasUtils.drawRoundedRect(ctx, x, padding, iconSize, iconSize, 3);
+      if (player.icon) {
+        ctx.save();
+        ctx.globalAlpha = player.isDead ? 0.35 : 1;
+        canvasUtils.drawIcon(ctx, player.icon, x, padding, iconSize, 3);
+        ctx.restore();
+      }
+      if (player.isLocal) {
+        canvasUtils.drawIconBorder(ctx, x, padding, iconSize, 3, '#C89B3C', 2);
+      }
+
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+      ctx.fillRect(x + iconSize - 14, padding + iconSize - 12, 14, 12);
+      ctx.fillStyle = '#F0E6D2';
+      ctx.font = 'bold 9px Arial';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(String(player.level), x + iconSize - 7, padding + iconSize - 6);
+
+      // K/D/A and CS
+      const textX = x + iconSize + 6;
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'top';
+      ctx.fillStyle = player.isLocal ? '#C89B3C' : '#F0E6D2';
+      ctx.font = 'bold 13px Arial';
+      ctx.fillText(`${player.kills}/${player.deaths}/${player.assists}`, textX, padding + 2, columnWidth - iconSize - 12);
+
+      ctx.fillStyle = secondaryColor;
+      ctx.font = '10px Arial';
+      ctx.textBaseline = 'bottom';
+      ctx.fillText(`${player.cs} CS`, textX, height - padding - 2);
+    });
+
+    return canvas;
+  } catch (error) {
+    logger.error('Failed to create scoreboard canvas:', error);
+    return canvasUtils.createFallbackCanvas(width, height, 'Error');
+  }
+}
+
+/**
+ * Create a gold and items canvas: current gold and item value on the left, item slots and trinket on the right
+ */
+async function createItemsCanvas(config) {
+  const {
+    width = 360,
+    height = 60,
+    gold = 0,
+    itemValue = 0,
+    items = [],
+    backgroundColor = '#0A1428',
+    goldColor = '#F0B232',
+    secondaryColor = '#A09B8C'
+  } = config;
+
+  try {
+    const canvas = new Canvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    // Draw background
+    canvasUtils.drawKeyBackground(ctx, width, height, backgroundColor);
+
+    const padding = 8;
+    const slotGap = 4;
+    const trinketGap = 6;
+    const goldAreaWidth = 84;
+    const slotSize = Math.min(
+      height - padding * 2,
+      Math.floor((width - goldAreaWidth - padding - trinketGap - slotGap * ITEM_SLOTS) / (ITEM_SLOTS + 1))
+    );
+    const slotY = Math.floor((height - slotSize) / 2);
+
+    // Current gold (upper left)
+    ctx.fillStyle = secondaryColor;
+    ctx.font = '10px Arial';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText('GOLD', padding, padding);
+
+    ctx.fillStyle = goldColor;
+    ctx.font = 'bold 20px Arial';
+    ctx.fillText(Math.floor(gold).toLocaleString('en-US'), padding, padding + 12);
+
+    // Total item value (lower left)
+    ctx.fillStyle = secondaryColor;
+    ctx.font = '10px Arial';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(`Items ${Math.round(itemValue).toLocaleString('en-US')}`, padding, height - padding);
+
+    // Item slots, then the trinket slightly apart
+    const slotsX = width - padding - (slotSize * (ITEM_SLOTS + 1) + slotGap * (ITEM_SLOTS - 1) + trinketGap);
+    for (let slot = 0; slot <= TRINKET_SLOT; slot++) {
+      const x = slotsX + slot * (slotSize + slotGap) + (slot === TRINKET_SLOT ? trinketGap - slotGap : 0);
+      const item = items.find(entry => entry.slot === slot);
+
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+      canvasUtils.drawRoundedRect(ctx, x, slotY, slotSize, slotSize, 3);
+
+      if (!item) continue;
+
+      if (item.icon) {
+        canvasUtils.drawIcon(ctx, item.icon, x, slotY, slotSize, 3);
+      }
+
+      // Stack count for consumables
+      if (item.count > 1) {
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = 'bold 10px Arial';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(String(item.count), x + slotSize - 2, slotY + slotSize - 1);
+      }
+    }
+
+    return canvas;
+  } catch (error) {
+    logger.error('Failed to create items canvas:', error);
+    return canvasUtils.createFallbackCanvas(width, height, 'Error');
+  }
+}
+
+/**
+ * Draw differently colored text segments centered on x
+ */
+function drawTextSegments(ctx, segments, centerX, y) {
+  const widths = segments.map(segment => ctx.measureText(segment.text).width);
+  let x = centerX - widths.reduce((sum, width) => sum + width, 0) / 2;
+
+  ctx.textAlign = 'left';
+  segments.forEach((segment, index) => {
+    ctx.fillStyle = segment.color;
+    ctx.fillText(segment.text, x, y);
+    x += widths[index];
+  });
+}
+
+/**
+ * Describe one objective column: label, timer value and a detail line
+ */
+function describeObjective(name, objective, secondaryColor) {
+  const value = objective.status === 'up'
+    ? { text: 'UP', color: '#0ACF83' }
+    : objective.status === 'spawning'
+      ? { text: canvasUtils.formatDuration(Math.ceil(objective.spawnsIn)), color: '#F0E6D2' }
+      : { text: '-', color: '#5B5A56' };
+
+  const score = (counts) => [
+    { text: String(counts.ORDER || 0), color: TEAM_COLORS.ORDER },
+    { text: ' - ', color: secondaryColor },
+    { text: String(counts.CHAOS || 0), color: TEAM_COLORS.CHAOS }
+  ];
+
+  let label = name.toUpperCase();
+  let detail = [];
+
+  if (name === 'Dragon') {
+    if (objective.isElder) label = 'ELDER';
+    if (objective.buff) {
+      detail = [{ text: `Elder ${canvasUtils.formatDuration(Math.ceil(objective.buff.remaining))}`, color: TEAM_COLORS[objective.buff.team] }];
+    } else if (objective.soulTeam) {
+      detail = [{ text: `${objective.soulType || ''} Soul`.trim(), color: TEAM_COLORS[objective.soulTeam] }];
+    } else {
+      detail = score(objective.counts);
+      if (objective.soulType) detail.push({ text: ` ${objective.soulType}`, color: secondaryColor });
+    }
+  } else if (name === 'Baron') {
+    if (objective.buff) {
+      detail = [{ text: `Buff ${canvasUtils.formatDuration(Math.ceil(objective.buff.remaining))}`, color: TEAM_COLORS[objective.buff.team] }];
+    }
+  } else if (name === 'Herald') {
+    if (objective.team) {
+      detail = [{ text: 'Taken', color: TEAM_COLORS[objective.team] }];
+    }
+  } else if (name === 'Grubs') {
+    detail = objective.status === 'up' && objective.remaining < 3
+      ? [{ text: `${objective.remaining} left`, color: secondaryColor }]
+      : score(objective.counts);
+  }
+
+  return { label, value, detail };
+}
+
+/**
+ * Create an objective timers canvas with one column per objective
+ */
+async function createObjectivesCanvas(config) {
+  const {
+    width = 360,
+    height = 60,
+    objectives,
+    backgroundColor = '#0A1428',
+    secondaryColor = '#A09B8C'
+  } = config;
+
+  try {
+    const canvas = new Canvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    // Draw background
+    canvasUtils.drawKeyBackground(ctx, width, height, backgroundColor);
+
+    const columns = [
+      describeObjective('Dragon', objectives.dragon, secondaryColor),
+      describeObjective('Baron', objectives.baron, secondaryColor),
+      describeObjective('Herald', objectives.herald, secondaryColor),
+      describeObjective('Grubs', objectives.grubs, secondaryColor)
+    ];
+    const columnWidth = width / columns.length;
+
+    columns.forEach((column, index) => {
+      const centerX = columnWidth * index + columnWidth / 2;
+
+      // Label (top)
+      ctx.fillStyle = secondaryColor;
+      ctx.font = '10px Arial';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      ctx.fillText(column.label, centerX, 6);
+
+      // Timer (center)
+      ctx.fillStyle = column.value.color;
+      ctx.font = 'bold 18px Arial';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(column.value.text, centerX, height / 2);
+
+      // Detail (bottom)
+      if (column.detail.length > 0) {
+        ctx.font = '10px Arial';
+        ctx.textBaseline = 'bottom';
+        drawTextSegments(ctx, column.detail, centerX, height - 5);
+      }
+    });
+
+    return canvas;
+  } catch (error) {
+    logger.error('Failed to create objectives canvas:', error);
+    return canvasUtils.createFallbackCanvas(width, height, 'Error');
+  }
+}
+
+/**
+ * Create an event feed canvas listing the latest events, newest first
+ */
+async function createEventFeedCanvas(config) {
+  const {
+    width = 360,
+    height = 60,
+    entries = [],
+    backgroundColor = '#0A1428',
+    secondaryColor = '#A09B8C'
+  } = config;
+
+  try {
+    const canvas = new Canvas(width, height);
+    const ctx = canvas.getContext('2d');
+    const padding = 8;
+    const lineHeight = (height - 4) / FEED_LINES;
+
+    // Draw background
+    canvasUtils.drawKeyBackground(ctx, width, height, backgroundColor);
+
+    ctx.font = '11px Arial';
+    ctx.textBaseline = 'middle';
+
+    if (entries.length === 0) {
+      ctx.fillStyle = secondaryColor;
+      ctx.textAlign = 'center';
+      ctx.fillText('No events yet', width / 2, height / 2);
+      return canvas;
+    }
+
+    entries.forEach((entry, index) => {
+      const y = 2 + lineHeight * index + lineHeight / 2;
+
+      ctx.textAlign = 'left';
+      ctx.fillStyle = secondaryColor;
+      ctx.fillText(canvasUtils.formatDuration(Math.ceil(entry.time)), padding, y);
+
+      ctx.fillStyle = TONE_COLORS[entry.tone] || TONE_COLORS.neutral;
+      ctx.fillText(entry.text, padding + 36, y, width - padding * 2 - 36);
+    });
+
+    return canvas;
+  } catch (error) {
+    logger.error('Failed to create event feed canvas:', error);
+    return canvasUtils.createFallbackCanvas(width, height, 'Error');
+  }
+}
+
+/**
+ * Create a Game Stats canvas with one column per stat and page dots
+ */
+async function createGameStatsCanvas(config) {
+  const {
+    width = 360,
+    height = 60,
+    stats = [],
+    page = 0,
+    pageCount = 1,
+    backgroundColor = '#0A1428',
+    primaryColor = '#CDBE91',
+    secondaryColor = '#A09B8C'
+  } = config;
+
+  try {
+    const canvas = new Canvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    // Draw background
+    canvasUtils.drawKeyBackground(ctx, width, height, backgroundColor);
+
+    const columnWidth = width / Math.max(1, stats.length);
+
+    stats.forEach((stat, index) => {
+      const centerX = columnWidth * index + columnWidth / 2;
+
+      // Label (top)
+      ctx.fillStyle = secondaryColor;
+      ctx.font = '10px Arial';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      ctx.fillText(stat.label, centerX, 8);
+
+      // Value (center, large)
+      ctx.fillStyle = primaryColor;
+      ctx.font = 'bold 22px Arial';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(stat.value, centerX, height / 2 + 5);
+    });
+
+    // Page dots (bottom center) when there is more than one page
+    if (pageCount > 1) {
+      const dotSpacing = 8;
+      const startX = width / 2 - ((pageCount - 1) * dotSpacing) / 2;
+      for (let i = 0; i < pageCount; i++) {
+        ctx.fillStyle = i === page ? primaryColor : 'rgba(160, 155, 140, 0.35)';
+        ctx.beginPath();
+        ctx.arc(startX + i * dotSpacing, height - 5, 2, 0, 2 * Math.PI);
+        ctx.fill();
+      }
+    }
+
+    return canvas;
+  } catch (error) {
+    logger.error('Failed to create game stats canvas:', error);
+    return canvasUtils.createFallbackCanvas(width, height, 'Error');
+  }
+}
+
+/**
+ * Create a "not in game" canvas for live client keys
+ */
+async function createNotInGameCanvas(config) {
+  const {
+    width = 360,
+    height = 60,
+    title = 'Live Stats',
+    backgroundColor = '#0A1428'
+  } = config;
+
+  try {
+    const canvas = new Canvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    // Draw background
+    canvasUtils.drawKeyBackground(ctx, width, height, backgroundColor);
+
+    const centerX = width / 2;
+    const centerY = height / 2;
+
+    // Title
+    ctx.fillStyle = '#A09B8C';
+    ctx.font = '10px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText(title.toUpperCase(), centerX, 8);
+
+    // Main "not in game" message
+    ctx.fillStyle = '#5A5A5A';
+    ctx.font = 'bold 16px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('Not In Game', centerX, centerY);
+
+    // Subtitle
+    ctx.fillStyle = '#404040';
+    ctx.font = '9px Arial';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText('Start a match to see live stats', centerX, height - 8);
+
+    return canvas;
+  } catch (error) {
+    logger.error('Failed to create not in game canvas:', error);
+    return canvasUtils.createFallbackCanvas(width, height, 'Error');
+  }
+}
+
+// ============================================
+// KEY RENDERERS
+// ============================================
+
+/**
+ * Render the Team Kills key from a snapshot
+ */
+async function renderTeamKillsKey(key, snapshot) {
+  const teamKills = calculateTeamKills(snapshot.allPlayers);
+  const activePlayer = findActivePlayer(snapshot);
+
+  return createTeamKillsCanvas({
+    width: key.width || 360,
+    height: key.height || 60,
+    orderKills: teamKills.ORDER,
+    chaosKills: teamKills.CHAOS,
+    playerTeam: activePlayer ? activePlayer.team : null,
+    backgroundColor: key.style?.backgroundColor || '#0A1428'
+  });
+}
+
+/**
+ * Render the Team Diff key from a snapshot
+ */
+async function renderTeamDiffKey(key, snapshot) {
+  if (!Array.isArray(snapshot.allPlayers) || snapshot.allPlayers.length === 0) {
+    return null;
+  }
+
+  const activePlayer = findActivePlayer(snapshot);
+
+  return createTeamDiffCanvas({
+    width: key.width || 360,
+    height: key.height || 60,
+    economy: await calculateTeamEconomy(snapshot.allPlayers),
+    playerTeam: activePlayer ? activePlayer.team : null,
+    backgroundColor: key.style?.backgroundColor || '#0A1428'
+  });
+}
+
+/**
+ * Render the Spell Tracker key from a snapshot
+ */
+async function renderSpellTrackerKey(key, snapshot) {
+  const enemies = spellTracker.getSpellTrackerState(snapshot, getCurrentGameTime(snapshot));
+  if (enemies.length === 0) {
+    return null;
+  }
+
+  for (const enemy of enemies) {
+    for (const spell of enemy.spells) {
+      try {
+        const data = await gameData.getSummonerSpell(spell.rawDisplayName);
+        spell.icon = data && data.iconPath ? await canvasUtils.loadCachedImage(data.iconPath) : null;
+      } catch (error) {
+        logger.debug(`Failed to load icon for ${spell.name}:`, error.message);
+      }
+    }
+  }
+
+  return createSpellTrackerCanvas({
+    width: key.width || 720,
+    height: key.height || 60,
+    enemies,
+    backgroundColor: key.style?.backgroundColor || '#0A1428'
+  });
+}
+
+/**
+ * Render the Skills key from a snapshot, suggesting from data.skillOrder or data.skillPriority
+ */
+async function renderSkillsKey(key, snapshot) {
+  const skills = getSkillState(snapshot.activePlayer, {
+    skillOrder: key.data?.skillOrder,
+    skillPriority: key.data?.skillPriority
+  });
+  if (!skills) {
+    return null;
+  }
+
+  return createSkillsCanvas({
+    width: key.width || 360,
+    height: key.height || 60,
+    skills,
+    backgroundColor: key.style?.backgroundColor || '#0A1428'
+  });
+}
+
+/**
+ * Render the Scoreboard key from a snapshot: your team first, the enemy team after a press
+ */
+async function renderScoreboardKey(key, snapshot, keyId) {
+  if (!Array.isArray(snapshot.allPlayers) || snapshot.allPlayers.length === 0) {
+    return null;
+  }
+
+  const activePlayer = findActivePlayer(snapshot);
+  const localTeam = activePlayer ? activePlayer.team : 'ORDER';
+  const teams = [localTeam, localTeam === 'ORDER' ? 'CHAOS' : 'ORDER'];
+  const team = teams[(scoreboardPages.get(keyId) || 0) % teams.length];
+
+  const players = [];
+  for (const player of snapshot.allPlayers.filter(p => p.team === team).slice(0, 5)) {
+    let icon = null;
+    try {
+      const champion = await gameData.getChampionForPlayer(player);
+      if (champion) {
+        icon = await canvasUtils.loadCachedImage(champion.iconPath);
+      }
+    } catch (error) {
+      logger.debug(`Failed to load portrait for ${player.championName}:`, error.message);
+    }
+
+    const scores = player.scores || {};
+    players.push({
+      icon,
+      level: player.level || 1,
+      kills: scores.kills || 0,
+      deaths: scores.deaths || 0,
+      assists: scores.assists || 0,
+      cs: scores.creepScore || 0,
+      isDead: !!player.isDead,
+      isLocal: player === activePlayer
+    });
+  }
+
+  return createScoreboardCanvas({
+    width: key.width || 720,
+    height: key.height || 60,
+    team,
+    players,
+    backgroundColor: key.style?.backgroundColor || '#0A1428'
+  });
+}
+
+/**
+ * Check if a player is dead and waiting to respawn
+ */
+function isRespawning(player) {
+  return !!player && player.isDead && player.respawnTimer > 0;
+}
+
+/**
+ * Seconds until the player respawns, counting down from the snapshot
+ */
+function getRespawnTimeLeft(player) {
+  return Math.max(0, player.respawnTimer - (Date.now() - snapshotReceivedAt) / 1000);
+}
+
+/**
+ * Find who killed the player from the latest ChampionKill event
+ * @returns {Promise<{ name: string|null, icon: object|null }>}
+ */
+async function findKiller(snapshot, player) {
+  const events = snapshot.events?.Events || [];
+  const death = events.slice().reverse().find(event =>
+    event.EventName === 'ChampionKill' &&
+    (event.VictimName === player.riotId || event.VictimName === player.summonerName)
+  );
+  if (!death) {
+    return { name: null, icon: null };
+  }
+
+  let icon = null;
+  const killer = (snapshot.allPlayers || []).find(p =>
+    p.riotId === death.KillerName || p.summonerName === death.KillerName
+  );
+  if (killer) {
+    try {
+      const champion = await gameData.getChampionForPlayer(killer);
+      if (champion) {
+        icon = await canvasUtils.loadCachedImage(champion.iconPath);
+      }
+    } catch (error) {
+      logger.debug(`Failed to load portrait for ${killer.championName}:`, error.message);
+    }
+  }
+
+  return { name: getDisplayName(snapshot, death.KillerName), icon };
+}
+
+/**
+ * Render the KDA key from a snapshot (a respawn countdown while dead)
+ */
+async function renderKDAKey(key, snapshot) {
+  const activePlayer = findActivePlayer(snapshot);
+  if (!activePlayer || !activePlayer.scores) {
+    return null;
+  }
+
+  const { kills = 0, deaths = 0, assists = 0 } = activePlayer.scores;
+
+  if (isRespawning(activePlayer)) {
+    const killer = await findKiller(snapshot, activePlayer);
+    return createRespawnCanvas({
+      width: key.width || 360,
+      height: key.height || 60,
+      timeLeft: getRespawnTimeLeft(activePlayer),
+      killerName: killer.name,
+      killerIcon: killer.icon,
+      kills,
+      deaths,
+      assists
+    });
+  }
+
+  return createKDACanvas({
+    width: key.width || 360,
+    height: key.height || 60,
+    kills,
+    deaths,
+    assists,
+    backgroundColor: key.style?.backgroundColor || '#0A1428'
+  });
+}
+
+/**
+ * Render the Ward Score key from a snapshot
+ */
+async function renderWardScoreKey(key, snapshot) {
+  const activePlayer = findActivePlayer(snapshot);
+  if (!activePlayer || !activePlayer.scores || typeof activePlayer.scores.wardScore !== 'number') {
+    return null;
+  }
+
+  return createStatKeyCanvas({
+    width: key.width || 360,
+    title: 'Ward Score',
+    value: Math.round(activePlayer.scores.wardScore).toString(),
+    subtitle: 'Vision Score',
+    backgroundColor: key.style?.backgroundColor || '#0A1428'
+  });
+}
+
+/**
+ * Render the Gold & Items key from a snapshot
+ */
+async function renderItemsKey(key, snapshot) {
+  const activePlayer = findActivePlayer(snapshot);
+  if (!activePlayer || !snapshot.activePlayer) {
+    return null;
+  }
+
+  let itemValue = 0;
+  const items = [];
+
+  for (const entry of activePlayer.items || []) {
+    const count = entry.count || 1;
+    let item = null;
+    let icon = null;
+
+    try {
+      item = await gameData.getItem(entry.itemID);
+      if (item) {
+        icon = await canvasUtils.loadCachedImage(item.iconPath);
+      }
+    } catch (error) {
+      logger.debug(`Failed to load icon for item ${entry.itemID}:`, error.message);
+    }
+
+    // Prefer the full recipe price from game data over the Live Client's
+    itemValue += (item ? item.price : entry.price || 0) * count;
+    items.push({ slot: entry.slot, count, icon });
+  }
+
+  return createItemsCanvas({
+    width: key.width || 360,
+    height: key.height || 60,
+    gold: snapshot.activePlayer.currentGold || 0,
+    itemValue,
+    items,
+    backgroundColor: key.style?.backgroundColor || '#0A1428'
+  });
+}
+
+/**
+ * Render the Objective Timers key from a snapshot
+ */
+async function renderObjectivesKey(key, snapshot) {
+  if (!snapshot.gameData) {
+    return null;
+  }
+
+  return createObjectivesCanvas({
+    width: key.width || 360,
+    height: key.height || 60,
+    objectives: getObjectiveTimers(snapshot),
+    backgroundColor: key.style?.backgroundColor || '#0A1428'
+  });
+}
+
+/**
+ * Render the Event Feed key from a snapshot
+ */
+async function renderEventFeedKey(key, snapshot) {
+  if (!snapshot.events) {
+    return null;
+  }
+
+  const entries = [];
+  const events = snapshot.events.Events || [];
+  for (let i = events.length - 1; i >= 0 && entries.length < FEED_LINES; i--) {
+    const description = describeEvent(events[i], snapshot);
+    if (description) {
+      entries.push({ ...description, time: events[i].EventTime || 0 });
+    }
+  }
+
+  return createEventFeedCanvas({
+    width: key.width || 360,
+    height: key.height || 60,
+    entries,
+    backgroundColor: key.style?.backgroundColor || '#0A1428'
+  });
+}
+
+/**
+ * Minutes of game time in a snapshot
+ */
+function getGameMinutes(snapshot) {
+  return (snapshot.gameData?.gameTime || 0) / 60;
+}
+
+/**
+ * Format a per-minute rate with one decimal
+ */
+function formatPerMinute(value, minutes) {
+  return minutes > 0 ? (value / minutes).toFixed(1) : '0.0';
+}
+
+// Stats the Game Stats key can show: id -> { label, value(snapshot, player) }
+const GAME_STATS = {
+  cs: {
+    label: 'CS',
+    value: (snapshot, player) => String(player.scores.creepScore || 0)
+  },
+  csPerMin: {
+    label: 'CS/MIN',
+    value: (snapshot, player) => formatPerMinute(player.scores.creepScore || 0, getGameMinutes(snapshot))
+  },
+  gold: {
+    label: 'GOLD',
+    value: (snapshot) => Math.floor(snapshot.activePlayer.currentGold || 0).toLocaleString('en-US')
+  },
+  level: {
+    label: 'LEVEL',
+    value: (snapshot, player) => String(snapshot.activePlayer.level || player.level || 1)
+  },
+  killParticipation: {
+    label: 'KP',
+    value: (snapshot, player) => {
+      const teamKills = calculateTeamKills(snapshot.allPlayers)[player.team] || 0;
+      const { kills = 0, assists = 0 } = player.scores;
+      return `${teamKills > 0 ? Math.round(((kills + assists) / teamKills) * 100) : 0}%`;
+    }
+  },
+  visionPerMin: {
+    label: 'VISION/MIN',
+    value: (snapshot, player) => formatPerMinute(player.scores.wardScore || 0, getGameMinutes(snapshot))
+  }
+};
+
+const DEFAULT_GAME_STATS = ['cs', 'csPerMin', 'gold', 'level', 'killParticipation', 'visionPerMin'];
+const DEFAULT_STATS_PER_PAGE = 3;
+
+// Current page of each Game Stats key, by key id
+const gameStatsPages = new Map();
+
+/**
+ * Split a Game Stats key's chosen stats (data.stats, data.statsPerPage) into pages
+ */
+function getGameStatsPages(key) {
+  const chosen = Array.isArray(key.data?.stats)
+    ? key.data.stats.filter(id => GAME_STATS[id])
+    : [];
+  const stats = chosen.length > 0 ? chosen : DEFAULT_GAME_STATS;
+  const perPage = Math.min(4, Math.max(1, Number(key.data?.statsPerPage) || DEFAULT_STATS_PER_PAGE));
+
+  const pages = [];
+  for (let i = 0; i < stats.length; i += perPage) {
+    pages.push(stats.slice(i, i + perPage));
+  }
+  return pages;
+}
+
+/**
+ * Render the Game Stats key from a snapshot
+ */
+async function renderGameStatsKey(key, snapshot, keyId) {
+  const activePlayer = findActivePlayer(snapshot);
+  if (!activePlayer || !activePlayer.scores) {
+    return null;
+  }
+
+  const pages = getGameStatsPages(key);
+  const page = (gameStatsPages.get(keyId) || 0) % pages.length;
+
+  return createGameStatsCanvas({
+    width: key.width || 360,
+    height: key.height || 60,
+    stats: pages[page].map(id => ({
+      label: GAME_STATS[id].label,
+      value: GAME_STATS[id].value(snapshot, activePlayer)
+    })),
+    page,
+    pageCount: pages.length,
+    backgroundColor: key.style?.backgroundColor || '#0A1428'
+  });
+}
+
+// Live key types: CID -> { title, render(key, snapshot, keyId) }
+// A renderer returning null falls back to the "not in game" canvas
+const LIVE_KEYS = {
+  'com.sondrenjaastad.leagueoflegends.teamkills': { title: 'Team Kills', render: renderTeamKillsKey },
+  'com.sondrenjaastad.leagueoflegends.teamdiff': { title: 'Team Diff', render: renderTeamDiffKey },
+  [KDA_CID]: { title: 'KDA', render: renderKDAKey },
+  'com.sondrenjaastad.leagueoflegends.wardscore': { title: 'Ward Score', render: renderWardScoreKey },
+  'com.sondrenjaastad.leagueoflegends.gamestats': { title: 'Game Stats', render: renderGameStatsKey },
+  'com.sondrenjaastad.leagueoflegends.items': { title: 'Gold & Items', render: renderItemsKey },
+  'com.sondrenjaastad.leagueoflegends.objectives': { title: 'Objectives', render: renderObjectivesKey },
+  'com.sondrenjaastad.leagueoflegends.eventfeed': { title: 'Event Feed', render: renderEventFeedKey },
+  [SPELL_TRACKER_CID]: { title: 'Spell Tracker', render: renderSpellTrackerKey },
+  'com.sondrenjaastad.leagueoflegends.skills': { title: 'Skills', render: renderSkillsKey },
+  'com.sondrenjaastad.leagueoflegends.scoreboard': { title: 'Scoreboard', render: renderScoreboardKey }
+};
+
+/**
+ * Check if a key is a live game key
+ */
+function isLiveGameKey(key) {
+  return !!(key && LIVE_KEYS[key.cid]);
+}
+
+/**
+ * Render a live key from the snapshot, or its "not in game" state
+ */
+async function renderLiveGameKey(key, snapshot, keyId) {
+  const { title, render } = LIVE_KEYS[key.cid];
+
+  let canvas = null;
+  if (snapshot) {
+    canvas = await render(key, snapshot, keyId);
+  }
+
+  return canvas || createNotInGameCanvas({
+    width: key.width || 360,
+    height: key.height || 60,
+    title,
+    backgroundColor: key.style?.backgroundColor || '#0A1428'
+  });
+}
+
+/**
+ * Draw a rendered canvas on a live key
+ */
+async function drawLiveGameKey(serialNumber, keyManager, key, canvas) {
+  const dataUrl = await canvasUtils.canvasToDataURL(canvas);
+  if (!dataUrl) {
+    return;
+  }
+
+  const safeKey = {
+    uid: key.uid,
+    width: key.width,
+    height: key.height,
+    style: { 
+      ...(key.style || {}),
+      showImage: true,
+      showTitle: false,
+      showIcon: false,
+      showEmoji: false
+    }
+  };
+
+  keyManager.simpleDraw(serialNumber, safeKey, dataUrl);
+}
+
+// ============================================
+// KEY INITIALIZATION
 // ============================================
 
 /**
- * Initialize Ward Score key
+ * Initialize any live game key from the current snapshot
  */
-async function initializeWardScoreKey(serialNumber, keyManager, key) {
+async function initializeLiveGameKey(serialNumber, keyManager, key) {
   const keyUid = key.uid;
   const keyId = `${serialNumber}-${keyUid}`;
+  const { title } = LIVE_KEYS[key.cid];
 
   try {
     await initializeClient();
     
     // Check if client is available for API calls
     if (!client.isAvailable()) {
-      logger.info(`League client not available for ward score key ${keyId}, showing offline state`);
+      logger.info(`League client not available for ${title} key ${keyId}, showing offline state`);
       const safeKey = {
         uid: keyUid,
         width: key.width,
@@ -614,354 +1555,281 @@ async function initializeWardScoreKey(serialNumber, keyManager, key) {
     keyManager.keyData[keyUid] = key;
     keyManager.activeKeys[keyId] = true;
 
-    // Check if we're in an active game first
-    const inActiveGame = await isInActiveGame();
-    
-    let canvas;
-    if (!inActiveGame) {
-      // Not in active game - show "not in game" state
-      canvas = await createNotInGameCanvas({
-        width: key.width || 360,
-        height: key.height || 60,
-        title: 'Ward Score',
-        backgroundColor: key.style?.backgroundColor || '#0A1428'
-      });
-    } else {
-      // In active game - get live data
-      const riotId = await getCurrentSummonerRiotId();
-      
-      if (riotId) {
-        const scores = await getPlayerScores(riotId);
-        if (scores && typeof scores.wardScore === 'number') {
-          const displayText = Math.round(scores.wardScore).toString();
-          const subtitle = 'Vision Score';
-
-          // Create canvas with live data
-          canvas = await createStatKeyCanvas({
-            width: key.width || 360,
-            title: 'Ward Score',
-            value: displayText,
-            subtitle: subtitle,
-            backgroundColor: key.style?.backgroundColor || '#0A1428'
-          });
-        } else {
-          // API call failed or no ward score data
-          canvas = await createNotInGameCanvas({
-            width: key.width || 360,
-            height: key.height || 60,
-            title: 'Ward Score',
-            backgroundColor: key.style?.backgroundColor || '#0A1428'
-          });
-        }
-      } else {
-        // No summoner ID
-        canvas = await createNotInGameCanvas({
-          width: key.width || 360,
-          height: key.height || 60,
-          title: 'Ward Score',
-          backgroundColor: key.style?.backgroundColor || '#0A1428'
-        });
-      }
-    }
-
-    // Convert to data URL and display
-    const dataUrl = await canvasUtils.canvasToDataURL(canvas);
-    if (dataUrl) {
-      const safeKey = {
-        uid: keyUid,
-        width: key.width,
-        style: { 
-          ...(key.style || {}),
-          showImage: true,
-          showTitle: false,
-          showIcon: false,
-          showEmoji: false
-        }
-      };
-      
-      keyManager.simpleDraw(serialNumber, safeKey, dataUrl);
-      
-      // If we're in an active game, ensure the update timer is running
-      if (inActiveGame) {
-        startLiveGameUpdateTimer(keyManager);
-      }
-    }
+    const canvas = await renderLiveGameKey(key, currentSnapshot, keyId);
+    await drawLiveGameKey(serialNumber, keyManager, key, canvas);
     
   } catch (error) {
-    logger.error('Error initializing ward score key:', error);
+    logger.error(`Error initializing ${title} key:`, error);
     
     const safeKey = {
       uid: keyUid,
-      title: 'Ward Score Unavailable',
+      title: `${title} Unavailable`,
       style: { showImage: false, showTitle: true }
     };
     keyManager.simpleTextDraw(serialNumber, safeKey);
   }
 }
 
-// ============================================
-// UPDATE HANDLERS
-// ============================================
+/**
+ * Initialize Team Kills key
+ */
+async function initializeTeamKillsKey(serialNumber, keyManager, key) {
+  return initializeLiveGameKey(serialNumber, keyManager, key);
+}
 
 /**
- * Handle live game data updates
+ * Initialize Team Diff key
  */
-async function handleLiveGameUpdate(keyManager, endpoint, data) {
-  logger.debug('Live game update handler called');
-  
-  // Check if we're in an active game
-  const inActiveGame = await isInActiveGame();
-  
-  if (inActiveGame) {
-    logger.debug('In active game - starting live game update timer');
-    // Start the timer if not already running
-    startLiveGameUpdateTimer(keyManager);
-  } else {
-    logger.debug('Not in active game - stopping live game updates');
-    stopLiveGameUpdateTimer();
-    // Clear cache when exiting game
-    clearGameStateCache();
-    // Update all keys to show "not in game" state
-    updateAllLiveGameKeysToNotInGame(keyManager);
-  }
+async function initializeTeamDiffKey(serialNumber, keyManager, key) {
+  return initializeLiveGameKey(serialNumber, keyManager, key);
 }
 
 /**
- * Start the live game update timer
+ * Initialize KDA key
  */
-function startLiveGameUpdateTimer(keyManager) {
-  if (liveGameUpdateTimer) {
-    logger.debug('Live game update timer already running');
-    return; // Already running
-  }
-  
-  logger.info('Starting live game updates (3s interval)');
-  liveGameUpdateTimer = setInterval(async () => {
-    try {
-      // Check if we're still in game
-      const inGame = await isInActiveGame();
-      if (!inGame) {
-        logger.debug('No longer in game - stopping updates');
-        stopLiveGameUpdateTimer();
-        // Update all keys to show "not in game" state
-        updateAllLiveGameKeysToNotInGame(keyManager);
-        return;
-      }
-      
-      // Debug: Check how many keys we have to update
-      const keyCount = Object.keys(keyManager.activeKeys).length;
-      logger.debug(`Updating live game data for ${keyCount} active keys`);
-      
-      // Update live game data efficiently
-      await updateLiveGameData(keyManager);
-    } catch (error) {
-      logger.error('Error in live game update timer:', error);
-    }
-  }, 3000); // Update every 3 seconds when in game
+async function initializeKDAKey(serialNumber, keyManager, key) {
+  return initializeLiveGameKey(serialNumber, keyManager, key);
 }
 
 /**
- * Stop the live game update timer
+ * Initialize Ward Score key
  */
-function stopLiveGameUpdateTimer() {
-  if (liveGameUpdateTimer) {
-    clearInterval(liveGameUpdateTimer);
-    liveGameUpdateTimer = null;
-    logger.info('Stopped live game updates');
-  }
+async function initializeWardScoreKey(serialNumber, keyManager, key) {
+  return initializeLiveGameKey(serialNumber, keyManager, key);
 }
 
 /**
- * Update all active live game keys
+ * Initialize Game Stats key
  */
-function updateAllLiveGameKeys(keyManager) {
-  Object.keys(keyManager.activeKeys).forEach(keyId => {
-    const [serialNumber, keyUid] = keyId.split('-');
-    const key = keyManager.keyData[keyUid];
-    
-    if (!key) return;
-    
-    // Update live game keys
-    if (key.cid === 'com.sondrenjaastad.leagueoflegends.teamkills') {
-      initializeTeamKillsKey(serialNumber, keyManager, key);
-    } else if (key.cid === 'com.sondrenjaastad.leagueoflegends.kda') {
-      initializeKDAKey(serialNumber, keyManager, key);
-    } else if (key.cid === 'com.sondrenjaastad.leagueoflegends.wardscore') {
-      initializeWardScoreKey(serialNumber, keyManager, key);
-    }
-  });
+async function initializeGameStatsKey(serialNumber, keyManager, key) {
+  return initializeLiveGameKey(serialNumber, keyManager, key);
 }
 
 /**
- * Update all live game keys to show "not in game" state
+ * Initialize Gold & Items key
  */
-function updateAllLiveGameKeysToNotInGame(keyManager) {
-  Object.keys(keyManager.activeKeys).forEach(keyId => {
-    const [serialNumber, keyUid] = keyId.split('-');
-    const key = keyManager.keyData[keyUid];
-    
-    if (!key) return;
-    
-    // Update live game keys to show "not in game" state
-    if (key.cid === 'com.sondrenjaastad.leagueoflegends.teamkills') {
-      initializeTeamKillsKey(serialNumber, keyManager, key);
-    } else if (key.cid === 'com.sondrenjaastad.leagueoflegends.kda') {
-      initializeKDAKey(serialNumber, keyManager, key);
-    } else if (key.cid === 'com.sondrenjaastad.leagueoflegends.wardscore') {
-      initializeWardScoreKey(serialNumber, keyManager, key);
-    }
-  });
+async function initializeItemsKey(serialNumber, keyManager, key) {
+  return initializeLiveGameKey(serialNumber, keyManager, key);
 }
 
 /**
- * Efficiently update live game data for all keys
+ * Initialize Objective Timers key
  */
-async function updateLiveGameData(keyManager) {
-  try {
-    // Get all live data in one batch to avoid repeated API calls
-    const [riotId, playerList] = await Promise.all([
-      getCurrentSummonerRiotId(),
-      getPlayerList()
-    ]);
-
-    if (!riotId || !playerList) {
-      logger.debug('Failed to get basic live game data, skipping update');
-      return;
-    }
+async function initializeObjectivesKey(serialNumber, keyManager, key) {
+  return initializeLiveGameKey(serialNumber, keyManager, key);
+}
 
-    // Calculate team kills once
-    const teamKills = calculateTeamKills(playerList);
-    const playerTeam = findPlayerTeam(playerList, riotId);
+/**
+ * Initialize Event Feed key
+ */
+async function initializeEventFeedKey(serialNumber, keyManager, key) {
+  return initializeLiveGameKey(serialNumber, keyManager, key);
+}
 
-    // Get player scores (this might fail, so handle separately)
-    let playerScores = null;
-    try {
-      playerScores = await getPlayerScores(riotId);
-    } catch (error) {
-      logger.debug('Failed to get player scores, continuing with team data');
-    }
+/**
+ * Handle Game Stats key press - show the next page of stats
+ */
+async function handleGameStatsInteraction(serialNumber, keyManager, key) {
+  if (currentSnapshot) {
+    const keyId = `${serialNumber}-${key.uid}`;
+    const pageCount = getGameStatsPages(key).length;
+    gameStatsPages.set(keyId, ((gameStatsPages.get(keyId) || 0) + 1) % pageCount);
+  }
 
-    // Find current player data
-    const currentPlayer = playerList.find(p => p.riotId === riotId);
+  return initializeLiveGameKey(serialNumber, keyManager, key);
+}
 
-    // Update all active keys efficiently - use for...of to properly await async operations
-    const keyIds = Object.keys(keyManager.activeKeys);
-    
-    for (const keyId of keyIds) {
-      const [serialNumber, keyUid] = keyId.split('-');
-      const key = keyManager.keyData[keyUid];
-      
-      if (!key) continue;
+/**
+ * Initialize Skills key
+ */
+async function initializeSkillsKey(serialNumber, keyManager, key) {
+  return initializeLiveGameKey(serialNumber, keyManager, key);
+}
 
-      try {
-        let canvas = null;
-
-        if (key.cid === 'com.sondrenjaastad.leagueoflegends.teamkills') {
-          canvas = await createTeamKillsCanvas({
-            width: key.width || 360,
-            height: key.height || 60,
-            orderKills: teamKills.ORDER,
-            chaosKills: teamKills.CHAOS,
-            playerTeam: playerTeam,
-            backgroundColor: key.style?.backgroundColor || '#0A1428'
-          });
-        } else if (key.cid === 'com.sondrenjaastad.leagueoflegends.kda') {
-          if (currentPlayer && currentPlayer.scores) {
-            const { kills = 0, deaths = 0, assists = 0 } = currentPlayer.scores;
-            canvas = await createKDACanvas({
-              width: key.width || 360,
-              height: key.height || 60,
-              kills,
-              deaths,
-              assists,
-              backgroundColor: key.style?.backgroundColor || '#0A1428'
-            });
-          }
-        } else if (key.cid === 'com.sondrenjaastad.leagueoflegends.wardscore') {
-          if (playerScores && typeof playerScores.wardScore === 'number') {
-            canvas = await createStatKeyCanvas({
-              width: key.width || 360,
-              title: 'Ward Score',
-              value: Math.round(playerScores.wardScore).toString(),
-              subtitle: 'Vision Score',
-              backgroundColor: key.style?.backgroundColor || '#0A1428'
-            });
-          }
-        }
+/**
+ * Initialize Scoreboard key
+ */
+async function initializeScoreboardKey(serialNumber, keyManager, key) {
+  return initializeLiveGameKey(serialNumber, keyManager, key);
+}
 
-        // Update the key if we have new canvas data
-        if (canvas) {
-          const dataUrl = await canvasUtils.canvasToDataURL(canvas);
-          if (dataUrl) {
-            const safeKey = {
-              uid: keyUid,
-              width: key.width,
-              height: key.height,
-              style: { 
-                ...(key.style || {}),
-                showImage: true,
-                showTitle: false,
-                showIcon: false,
-                showEmoji: false
-              }
-            };
-            
-            keyManager.simpleDraw(serialNumber, safeKey, dataUrl);
-            logger.debug(`Updated live game key ${key.cid} with new data`);
-          }
-        }
-      } catch (error) {
-        logger.debug(`Failed to update live game key ${key.cid}:`, error.message);
-      }
-    }
+/**
+ * Initialize Spell Tracker key
+ */
+async function initializeSpellTrackerKey(serialNumber, keyManager, key) {
+  return initializeLiveGameKey(serialNumber, keyManager, key);
+}
+
+/**
+ * Handle Scoreboard key press - switch to the other team
+ */
+async function handleScoreboardInteraction(serialNumber, keyManager, key) {
+  if (currentSnapshot) {
+    const keyId = `${serialNumber}-${key.uid}`;
+    scoreboardPages.set(keyId, ((scoreboardPages.get(keyId) || 0) + 1) % 2);
+  }
 
-    logger.debug(`Live game data update completed for ${keyIds.length} keys`);
+  return initializeLiveGameKey(serialNumber, keyManager, key);
+}
 
-  } catch (error) {
-    logger.error('Failed to update live game data:', error);
+/**
+ * Handle Spell Tracker key press - start (or clear) the cooldown of the spell under the touch
+ * @param {{ x: number, y: number }|undefined} position Touch position in key pixels
+ */
+async function handleSpellTrackerInteraction(serialNumber, keyManager, key, position) {
+  if (!currentSnapshot) {
+    return initializeLiveGameKey(serialNumber, keyManager, key);
+  }
+
+  if (!position || typeof position.x !== 'number') {
+    logger.debug('Spell tracker press without a touch position, ignoring');
+    return;
+  }
+
+  // Ten equal segments: two spells for each of the five enemies
+  const segmentWidth = (key.width || 720) / 10;
+  const segment = Math.max(0, Math.min(9, Math.floor(position.x / segmentWidth)));
+  const changed = await spellTracker.toggleSpellCooldown(
+    currentSnapshot, getCurrentGameTime(currentSnapshot), Math.floor(segment / 2), segment % 2
+  );
+
+  if (changed) {
+    updateCountdownTicker(keyManager);
+    await updateLiveGameData(keyManager, currentSnapshot, SPELL_TRACKER_CID);
   }
 }
 
+// ============================================
+// UPDATE HANDLERS
+// ============================================
+
 /**
- * Clear the game state cache (useful when game state changes)
+ * Handle a new live game snapshot (null when the game has ended)
  */
-function clearGameStateCache() {
-  cachedGameState = null;
-  lastGameStateCheck = 0;
+async function handleLiveGameUpdate(keyManager, snapshot) {
+  currentSnapshot = snapshot || null;
+  snapshotReceivedAt = Date.now();
+
+  if (!currentSnapshot) {
+    spellTracker.resetSpellCooldowns();
+  }
+  updateCountdownTicker(keyManager);
+
+  if (currentSnapshot) {
+    await updateLiveGameData(keyManager, currentSnapshot);
+  } else {
+    logger.debug('Not in active game - showing "not in game" state on live keys');
+    await updateLiveGameData(keyManager, null);
+  }
 }
 
 /**
- * Manually trigger live game updates (for testing/debugging)
+ * Re-render every active live game key (or only those with the given CID) from one snapshot
  */
-async function triggerLiveGameUpdate(keyManager) {
-  logger.info('Manually triggering live game updates');
-  
-  try {
-    const inActiveGame = await isInActiveGame();
+async function updateLiveGameData(keyManager, snapshot, cid = null) {
+  const keyIds = Object.keys(keyManager.activeKeys);
+  let updated = 0;
+
+  // Use for...of to properly await async rendering
+  for (const keyId of keyIds) {
+    const [serialNumber, keyUid] = keyId.split('-');
+    const key = keyManager.keyData[keyUid];
     
-    if (inActiveGame) {
-      logger.info('In game - starting live updates');
-      startLiveGameUpdateTimer(keyManager);
-      // Also do an immediate update
-      await updateLiveGameData(keyManager);
-    } else {
-      logger.info('Not in game - showing offline state');
-      updateAllLiveGameKeysToNotInGame(keyManager);
+    if (!isLiveGameKey(key) || (cid && key.cid !== cid)) continue;
+
+    try {
+      const canvas = await renderLiveGameKey(key, snapshot, keyId);
+      await drawLiveGameKey(serialNumber, keyManager, key, canvas);
+      updated++;
+    } catch (error) {
+      logger.debug(`Failed to update live game key ${key.cid}:`, error.message);
     }
-  } catch (error) {
-    logger.error('Error manually triggering live game update:', error);
   }
+
+  logger.debug(`Live game data update completed for ${updated} keys`);
+}
+
+/**
+ * CIDs of keys showing a running countdown
+ */
+function getCountdownCids() {
+  const cids = [];
+  if (!currentSnapshot) {
+    return cids;
+  }
+
+  if (isRespawning(findActivePlayer(currentSnapshot))) {
+    cids.push(KDA_CID);
+  }
+  if (spellTracker.hasActiveCooldowns(getCurrentGameTime(currentSnapshot))) {
+    cids.push(SPELL_TRACKER_CID);
+  }
+  return cids;
+}
+
+/**
+ * Snapshots arrive every few seconds; redraw running countdowns every second in between
+ */
+function updateCountdownTicker(keyManager) {
+  tickingCids = getCountdownCids();
+  if (tickingCids.length === 0) {
+    stopCountdownTicker();
+    return;
+  }
+  if (countdownTicker) return;
+
+  countdownTicker = setInterval(async () => {
+    // Keys whose countdown just finished are redrawn once more to clear it
+    const cids = getCountdownCids();
+    const redraw = new Set([...tickingCids, ...cids]);
+    tickingCids = cids;
+
+    if (cids.length === 0) {
+      stopCountdownTicker();
+    }
+
+    try {
+      for (const cid of redraw) {
+        await updateLiveGameData(keyManager, currentSnapshot, cid);
+      }
+    } catch (error) {
+      logger.debug('Countdown update failed:', error.message);
+    }
+  }, 1000);
+}
+
+/**
+ * Stop the countdown timer
+ */
+function stopCountdownTicker() {
+  if (countdownTicker) {
+    clearInterval(countdownTicker);
+    countdownTicker = null;
+  }
+  tickingCids = [];
 }
 
 module.exports = {
   initializeTeamKillsKey,
+  initializeTeamDiffKey,
   initializeKDAKey,
   initializeWardScoreKey,
+  initializeGameStatsKey,
+  initializeItemsKey,
+  initializeObjectivesKey,
+  initializeEventFeedKey,
+  initializeSpellTrackerKey,
+  initializeSkillsKey,
+  initializeScoreboardKey,
+  handleGameStatsInteraction,
+  handleScoreboardInteraction,
+  handleSpellTrackerInteraction,
   handleLiveGameUpdate,
-  getPlayerScores,
-  getPlayerList,
+  stopCountdownTicker,
+  getLiveGameSnapshot,
+  findActivePlayer,
   calculateTeamKills,
-  isInActiveGame,
-  createNotInGameCanvas,
-  triggerLiveGameUpdate
-}; 
\ No newline at end of file
+  calculateTeamEconomy,
+  isLiveGameKey,
+  createNotInGameCanvas
+};
@@ -0,0 +1,164 @@
+/**
+ * Objective Timers
+ * Derives dragon, baron, herald and void grub timers from a Live Client allgamedata snapshot
+ *
+ * Everything is computed from the snapshot's event list and game time, so the
+ * result is the same whether the plugin was running since the start of the game
+ * or was started mid-game.
+ */
+
+// Summoner's Rift timings in seconds of game time
+const TIMINGS = {
+  dragonFirstSpawn: 5 * 60,
+  dragonRespawn: 5 * 60,
+  elderRespawn: 6 * 60,
+  grubsSpawn: 8 * 60,
+  heraldSpawn: 16 * 60,
+  baronFirstSpawn: 25 * 60,
+  baronRespawn: 6 * 60,
+  baronBuffDuration: 3 * 60,
+  elderBuffDuration: 150
+};
+
+// Dragons needed for a team to claim the soul
+const DRAGONS_FOR_SOUL = 4;
+
+// Void grubs in the camp
+const GRUB_COUNT = 3;
+
+// DragonKill DragonType -> soul / terrain name (as reported in gameData.mapTerrain)
+const DRAGON_SOULS = {
+  Fire: 'Infernal',
+  Water: 'Ocean',
+  Earth: 'Mountain',
+  Air: 'Cloud',
+  Hextech: 'Hextech',
+  Chemtech: 'Chemtech'
+};
+
+/**
+ * Find the team of the player named in an event (riot id or legacy summoner name)
+ */
+function getTeamForName(allPlayers, name) {
+  if (!name || !Array.isArray(allPlayers)) {
+    return null;
+  }
+
+  const player = allPlayers.find(p =>
+    p.riotId === name || p.summonerName === name || (p.riotIdGameName && name.startsWith(`${p.riotIdGameName}#`))
+  );
+  return player ? player.team : null;
+}
+
+/**
+ * Get the game events from a snapshot
+ */
+function getEvents(snapshot) {
+  return (snapshot && snapshot.events && Array.isArray(snapshot.events.Events)) ? snapshot.events.Events : [];
+}
+
+/**
+ * Timer state for an objective that spawns at a time
+ * @returns {{ status: 'up'|'spawning'|'gone', spawnsIn?: number }}
+ */
+function getSpawnState(gameTime, spawnTime) {
+  if (spawnTime === null) {
+    return { status: 'gone' };
+  }
+  return gameTime >= spawnTime
+    ? { status: 'up' }
+    : { status: 'spawning', spawnsIn: spawnTime - gameTime };
+}
+
+/**
+ * Derive all objective timers from a snapshot
+ * @param {object} snapshot allgamedata snapshot
+ * @returns {object} { gameTime, dragon, baron, herald, grubs }
+ */
+function getObjectiveTimers(snapshot) {
+  const gameTime = snapshot?.gameData?.gameTime || 0;
+  const allPlayers = snapshot?.allPlayers || [];
+  const events = getEvents(snapshot);
+  const killsOf = (name) => events.filter(event => event.EventName === name);
+
+  // --- Dragons ---
+  const dragonKills = killsOf('DragonKill');
+  const elementalKills = dragonKills.filter(event => event.DragonType !== 'Elder');
+  const elderKills = dragonKills.filter(event => event.DragonType === 'Elder');
+
+  const dragonCounts = { ORDER: 0, CHAOS: 0 };
+  elementalKills.forEach(event => {
+    const team = getTeamForName(allPlayers, event.KillerName);
+    if (team) dragonCounts[team] = (dragonCounts[team] || 0) + 1;
+  });
+
+  const soulTeam = Object.keys(dragonCounts).find(team => dragonCounts[team] >= DRAGONS_FOR_SOUL) || null;
+
+  // The rift changes to the soul element after the second dragon; the third and later dragons share it
+  const terrain = snapshot?.gameData?.mapTerrain;
+  const soulType = (terrain && terrain !== 'Default')
+    ? terrain
+    : (elementalKills[2] ? DRAGON_SOULS[elementalKills[2].DragonType] || null : null);
+
+  const lastDragonKill = dragonKills[dragonKills.length - 1];
+  let dragonSpawnTime = TIMINGS.dragonFirstSpawn;
+  if (lastDragonKill) {
+    // Once a soul is claimed only the Elder Dragon respawns
+    const nextIsElder = !!soulTeam;
+    dragonSpawnTime = lastDragonKill.EventTime + (nextIsElder ? TIMINGS.elderRespawn : TIMINGS.dragonRespawn);
+  }
+
+  const lastElderKill = elderKills[elderKills.length - 1];
+  const elderTeam = lastElderKill ? getTeamForName(allPlayers, lastElderKill.KillerName) : null;
+  const elderBuffLeft = lastElderKill ? lastElderKill.EventTime + TIMINGS.elderBuffDuration - gameTime : 0;
+
+  const dragon = {
+    ...getSpawnState(gameTime, dragonSpawnTime),
+    isElder: !!soulTeam,
+    soulType,
+    soulTeam,
+    counts: dragonCounts,
+    buff: elderBuffLeft > 0 && elderTeam ? { team: elderTeam, remaining: elderBuffLeft } : null
+  };
+
+  // --- Baron ---
+  const baronKills = killsOf('BaronKill');
+  const lastBaronKill = baronKills[baronKills.length - 1];
+  const baronTeam = lastBaronKill ? getTeamForName(allPlayers, lastBaronKill.KillerName) : null;
+  const baronBuffLeft = lastBaronKill ? lastBaronKill.EventTime + TIMINGS.baronBuffDuration - gameTime : 0;
+
+  const baron = {
+    ...getSpawnState(gameTime, lastBaronKill ? lastBaronKill.EventTime + TIMINGS.baronRespawn : TIMINGS.baronFirstSpawn),
+    buff: baronBuffLeft > 0 && baronTeam ? { team: baronTeam, remaining: baronBuffLeft } : null
+  };
+
+  // --- Rift Herald (single spawn, leaves when Baron arrives) ---
+  const heraldKill = killsOf('HeraldKill')[0];
+  const herald = {
+    ...getSpawnState(gameTime, heraldKill || gameTime >= TIMINGS.baronFirstSpawn ? null : TIMINGS.heraldSpawn),
+    team: heraldKill ? getTeamForName(allPlayers, heraldKill.KillerName) : null
+  };
+
+  // --- Void Grubs (one camp, leaves when the Herald arrives) ---
+  const grubKills = killsOf('HordeKill');
+  const grubCounts = { ORDER: 0, CHAOS: 0 };
+  grubKills.forEach(event => {
+    const team = getTeamForName(allPlayers, event.KillerName);
+    if (team) grubCounts[team] = (grubCounts[team] || 0) + 1;
+  });
+
+  const grubsDone = grubKills.length >= GRUB_COUNT || gameTime >= TIMINGS.heraldSpawn;
+  const grubs = {
+    ...getSpawnState(gameTime, grubsDone ? null : TIMINGS.grubsSpawn),
+    remaining: Math.max(0, GRUB_COUNT - grubKills.length),
+    counts: grubCounts
+  };
+
+  return { gameTime, dragon, baron, herald, grubs };
+}
+
+module.exports = {
+  TIMINGS,
+  getObjectiveTimers,
+  getTeamForName
+};
@@ -0,0 +1,334 @@
+/**
+ * Post Game Key Implementation
+ * Shows a summary of the last game (result, champion, KDA, CS, damage and LP change)
+ * from the end of game stats, until the next lobby opens
+ */
+
+const { Canvas } = require('skia-canvas');
+const logger = require('../utils/logger');
+const { client, initializeClient } = require('../lol');
+const gameData = require('../gameData');
+const canvasUtils = require('./canvasUtils');
+const { getLpChange } = require('./rankedLadder');
+
+const POST_GAME_CID = 'com.sondrenjaastad.leagueoflegends.postgame';
+
+const EOG_STATS_ENDPOINT = '/lol-end-of-game/v1/eog-stats-block';
+
+// Phases where the end of game stats are available
+const POST_GAME_PHASES = ['PreEndOfGame', 'EndOfGame'];
+
+// Phases that start the next game and dismiss the summary
+const NEXT_GAME_PHASES = ['Lobby', 'Matchmaking', 'ReadyCheck', 'ChampSelect', 'GameStart', 'InProgress'];
+
+// Latest end of game stats (null when there is no summary to show)
+let currentStats = null;
+
+// Game whose summary was dismissed, so the client's stale stats block isn't shown again
+let dismissedGameId = null;
+
+// Latest ranked stats, and the ranked stats when the game started (for the LP change)
+let latestRanked = null;
+let rankedAtGameStart = null;
+
+/**
+ * Check if the local player won, from an end of game stats block
+ */
+function isEndOfGameWin(stats) {
+  const playerTeam = (stats.teams || []).find(team => team.isPlayerTeam);
+  if (playerTeam && typeof playerTeam.isWinningTeam === 'boolean') {
+    return playerTeam.isWinningTeam;
+  }
+  return !!(stats.localPlayer && stats.localPlayer.stats && stats.localPlayer.stats.WIN);
+}
+
+/**
+ * LP gained or lost in the game's queue, when it was ranked
+ * @returns {number|null} null until the client has counted the game
+ */
+function getGameLpChange(stats) {
+  const queueType = stats.queueType;
+  if (!queueType || !rankedAtGameStart || !latestRanked) {
+    return null;
+  }
+
+  const before = rankedAtGameStart.queueMap && rankedAtGameStart.queueMap[queueType];
+  const after = latestRanked.queueMap && latestRanked.queueMap[queueType];
+  if (!before || !after) {
+    return null;
+  }
+
+  // Ranked stats are polled, so wait until the game shows up in the win/loss record
+  const gamesPlayed = (entry) => (entry.wins || 0) + (entry.losses || 0);
+  if (gamesPlayed(after) === gamesPlayed(before)) {
+    return null;
+  }
+
+  return getLpChange(before, after);
+}
+
+/**
+ * Format damage as thousands ("28.5k")
+ */
+function formatDamage(value) {
+  return value >= 1000 ? `${(value / 1000).toFixed(1)}k` : String(Math.round(value));
+}
+
+/**
+ * Creates the post game key canvas
+ * @param {object} config - Configuration object
+ * @returns {Promise<Canvas>} - Canvas object
+ */
+async function createPostGameCanvas(config) {
+  const {
+    width = 360,
+    height = 60,
+    stats,
+    lpChange = null,
+    championIcon = null,
+    backgroundColor = '#0A1428'
+  } = config;
+
+  try {
+    const canvas = new Canvas(width, height);
+    const ctx = canvas.getContext('2d');
+    const padding = 8;
+
+    canvasUtils.drawKeyBackground(ctx, width, height, backgroundColor);
+
+    if (!stats) {
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'top';
+      ctx.fillStyle = '#C89B3C';
+      ctx.font = 'bold 18px Arial';
+      ctx.fillText('Post Game', padding, padding);
+
+      ctx.fillStyle = '#A09B8C';
+      ctx.font = '11px Arial';
+      ctx.fillText('Your last game shows here after it ends', padding, padding + 24);
+      return canvas;
+    }
+
+    const win = isEndOfGameWin(stats);
+    const resultColor = win ? '#0AC8B9' : '#E84057';
+    const player = stats.localPlayer || {};
+    const playerStats = player.stats || {};
+    const iconSize = height - padding * 2;
+    let textX = padding;
+
+    // Champion played (left)
+    if (championIcon) {
+      canvasUtils.drawIcon(ctx, championIcon, padding, padding, iconSize, 3);
+      canvasUtils.drawIconBorder(ctx, padding, padding, iconSize, 3, resultColor, 2);
+      textX += iconSize + padding;
+    }
+
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = resultColor;
+    ctx.font = 'bold 16px Arial';
+    ctx.fillText(win ? 'VICTORY' : 'DEFEAT', textX, padding);
+
+    const kda = `${playerStats.CHAMPIONS_KILLED || 0}/${playerStats.NUM_DEATHS || 0}/${playerStats.ASSISTS || 0}`;
+    const cs = (playerStats.MINIONS_KILLED || 0) + (playerStats.NEUTRAL_MINIONS_KILLED || 0);
+    const damage = formatDamage(playerStats.TOTAL_DAMAGE_DEALT_TO_CHAMPIONS || 0);
+    ctx.fillStyle = '#F0E6D2';
+    ctx.font = '11px Arial';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(`${kda} · ${cs} CS · ${damage} dmg`, textX, height - padding);
+
+    // LP change and game length (right)
+    ctx.textAlign = 'right';
+    if (lpChange !== null) {
+      ctx.textBaseline = 'top';
+      ctx.fillStyle = lpChange >= 0 ? '#0AC8B9' : '#E84057';
+      ctx.font = 'bold 16px Arial';
+      ctx.fillText(`${lpChange >= 0 ? '+' : ''}${lpChange} LP`, width - padding, padding);
+    }
+
+    ctx.textBaseline = 'bottom';
+    ctx.fillStyle = '#A09B8C';
+    ctx.font = '10px Arial';
+    ctx.fillText(canvasUtils.formatDuration(Math.round(stats.gameLength || 0)), width - padding, height - padding);
+
+    return canvas;
+  } catch (error) {
+    logger.error('Failed to create post game canvas:', error);
+    return canvasUtils.createFallbackCanvas(width, height, 'Post Game');
+  }
+}
+
+/**
+ * Render a post game key from the current stats
+ */
+async function renderPostGameKey(serialNumber, keyManager, key) {
+  let championIcon = null;
+  if (currentStats && currentStats.localPlayer) {
+    try {
+      const champion = await gameData.getChampion(currentStats.localPlayer.championId);
+      if (champion) {
+        championIcon = await canvasUtils.loadCachedImage(champion.iconPath);
+      }
+    } catch (error) {
+      logger.debug('Failed to load post game champion portrait:', error.message);
+    }
+  }
+
+  const canvas = await createPostGameCanvas({
+    width: key.width || 360,
+    height: key.height || 60,
+    stats: currentStats,
+    lpChange: currentStats ? getGameLpChange(currentStats) : null,
+    championIcon,
+    backgroundColor: key.style?.backgroundColor || '#0A1428'
+  });
+  const buttonDataUrl = await canvasUtils.canvasToDataURL(canvas);
+
+  if (buttonDataUrl) {
+    const safeKey = {
+      uid: key.uid,
+      width: key.width,
+      style: {
+        ...(key.style || {}),
+        showImage: true,
+        showTitle: false,
+        showIcon: false,
+        showEmoji: false
+      }
+    };
+    keyManager.simpleDraw(serialNumber, safeKey, buttonDataUrl);
+  }
+}
+
+/**
+ * Re-render every active post game key
+ */
+async function updatePostGameKeys(keyManager) {
+  for (const keyId of Object.keys(keyManager.activeKeys)) {
+    const [serialNumber, keyUid] = keyId.split('-');
+    const key = keyManager.keyData[keyUid];
+
+    if (key && key.cid === POST_GAME_CID) {
+      try {
+        await renderPostGameKey(serialNumber, keyManager, key);
+      } catch (error) {
+        logger.error(`Failed to update post game key ${keyId}:`, error);
+      }
+    }
+  }
+}
+
+/**
+ * Read the end of game stats from the client
+ */
+async function loadEndOfGameStats(keyManager) {
+  try {
+    const stats = await client.get(EOG_STATS_ENDPOINT);
+    if (!stats || stats.gameId === dismissedGameId) {
+      return;
+    }
+
+    currentStats = stats;
+    logger.info(`Post game summary loaded for game ${stats.gameId}`);
+    await updatePostGameKeys(keyManager);
+  } catch (error) {
+    logger.debug('End of game stats not available yet:', error.message);
+  }
+}
+
+/**
+ * Initialize a post game key
+ * @param {string} serialNumber Device serial number
+ * @param {object} keyManager Key manager instance
+ * @param {object} key Key data
+ */
+async function initializePostGameKey(serialNumber, keyManager, key) {
+  const keyUid = key.uid;
+  const keyId = `${serialNumber}-${keyUid}`;
+
+  try {
+    await initializeClient();
+
+    // Check if client is available for API calls
+    if (!client.isAvailable()) {
+      logger.info(`League client not available for post game key ${keyId}, showing offline state`);
+      const safeKey = {
+        uid: keyUid,
+        width: key.width,
+        title: 'League Offline',
+        style: {
+          ...(key.style || {}),
+          showImage: false,
+          showTitle: true,
+          backgroundColor: '#8B0000' // Dark red background
+        }
+      };
+      keyManager.simpleTextDraw(serialNumber, safeKey);
+      return;
+    }
+
+    // Store key data
+    keyManager.keyData[keyUid] = key;
+    keyManager.activeKeys[keyId] = true;
+
+    await renderPostGameKey(serialNumber, keyManager, key);
+
+  } catch (error) {
+    logger.error('Error initializing post game key:', error);
+
+    const safeKey = {
+      uid: keyUid,
+      title: 'Post Game Unavailable',
+      style: {
+        showImage: false,
+        showTitle: true
+      }
+    };
+    keyManager.simpleTextDraw(serialNumber, safeKey);
+  }
+}
+
+/**
+ * Handle gameflow phase changes - remember ranked stats at game start,
+ * load the summary after the game and dismiss it once the next lobby opens
+ * @param {object} keyManager Key manager instance
+ * @param {string} phase Gameflow phase
+ */
+async function handlePostGamePhaseUpdate(keyManager, phase) {
+  if (phase === 'InProgress') {
+    rankedAtGameStart = latestRanked;
+  }
+
+  if (POST_GAME_PHASES.includes(phase)) {
+    await loadEndOfGameStats(keyManager);
+  } else if (NEXT_GAME_PHASES.includes(phase) && currentStats) {
+    dismissedGameId = currentStats.gameId;
+    currentStats = null;
+    await updatePostGameKeys(keyManager);
+  }
+}
+
+/**
+ * Handle ranked stats updates (the LP change arrives shortly after the game)
+ * @param {object} keyManager Key manager instance
+ * @param {object} rankedData Data from /lol-ranked/v1/current-ranked-stats
+ */
+async function handlePostGameRankedUpdate(keyManager, rankedData) {
+  latestRanked = rankedData;
+
+  // Before any game this session, the first ranked stats are the baseline
+  if (!rankedAtGameStart) {
+    rankedAtGameStart = rankedData;
+  }
+
+  if (currentStats) {
+    await updatePostGameKeys(keyManager);
+  }
+}
+
+module.exports = {
+  initializePostGameKey,
+  handlePostGamePhaseUpdate,
+  handlePostGameRankedUpdate,
+  isEndOfGameWin
+};
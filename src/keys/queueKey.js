@@ -0,0 +1,488 @@
+/**
+ * Queue Key Implementation
+ * Shows "Find Match", the queue timer while searching or a queue penalty countdown;
+ * press to start matchmaking, press again to cancel
+ */
+
+const { Canvas } = require('skia-canvas');
+const logger = require('../utils/logger');
+const { client, initializeClient } = require('../lol');
+const canvasUtils = require('./canvasUtils');
+
+const QUEUE_CID = 'com.sondrenjaastad.leagueoflegends.queue';
+
+const SEARCH_ENDPOINT = '/lol-lobby/v2/lobby/matchmaking/search';
+
+// Display names for common queue ids
+const QUEUE_NAMES = {
+  400: 'Normal Draft',
+  420: 'Ranked Solo/Duo',
+  430: 'Normal Blind',
+  440: 'Ranked Flex',
+  450: 'ARAM',
+  490: 'Quickplay',
+  700: 'Clash',
+  830: 'Co-op vs. AI',
+  840: 'Co-op vs. AI',
+  850: 'Co-op vs. AI',
+  900: 'ARURF',
+  1090: 'TFT',
+  1100: 'TFT Ranked',
+  1130: 'TFT Hyper Roll',
+  1160: 'TFT Double Up',
+  1700: 'Arena'
+};
+
+// What the key shows for gameflow phases past matchmaking
+const PHASE_LABELS = {
+  ReadyCheck: 'Match Found',
+  ChampSelect: 'Champ Select',
+  GameStart: 'Game Starting',
+  InProgress: 'In Game',
+  Reconnect: 'Reconnect',
+  WaitingForStats: 'Post Game',
+  PreEndOfGame: 'Post Game',
+  EndOfGame: 'Post Game'
+};
+
+// Latest lobby, search state and gameflow phase
+let currentLobby = null;
+let currentSearchState = null;
+let currentPhase = null;
+
+// When the current search started and the client's estimate (seconds)
+let searchStartedAt = null;
+let estimatedQueueTime = null;
+
+// Penalty seconds remaining when the search state was received
+let penaltyReceivedAt = 0;
+
+// Ignore presses while a start/cancel request is in flight
+let requestPending = false;
+
+// Redraws the timers every second while searching or penalized
+let tickTimer = null;
+
+/**
+ * Check if matchmaking is searching
+ */
+function isSearching() {
+  return !!currentSearchState && currentSearchState.searchState === 'Searching';
+}
+
+/**
+ * Check if the local player can start matchmaking for the lobby
+ */
+function isLobbyLeader() {
+  return !!currentLobby && !!currentLobby.localMember && currentLobby.localMember.isLeader;
+}
+
+/**
+ * Total and remaining penalty seconds (queue dodge, leaver or low priority queue)
+ * @returns {{ total: number, remaining: number }|null}
+ */
+function getPenalty() {
+  if (!currentSearchState) {
+    return null;
+  }
+
+  const penalties = [
+    ...(currentSearchState.errors || []).map(error => ({
+      total: error.penaltyTimeRemaining || 0,
+      remaining: error.penaltyTimeRemaining || 0
+    })),
+    {
+      total: currentSearchState.lowPriorityData?.penaltyTime || 0,
+      remaining: currentSearchState.lowPriorityData?.penaltyTimeRemaining || 0
+    }
+  ];
+
+  const longest = penalties.reduce((max, penalty) => penalty.remaining > max.remaining ? penalty : max);
+  const remaining = Math.max(0, Math.ceil(longest.remaining - (Date.now() - penaltyReceivedAt) / 1000));
+
+  return remaining > 0 ? { total: Math.max(longest.total, longest.remaining), remaining } : null;
+}
+
+/**
+ * Seconds spent searching so far
+ */
+function getElapsedTime() {
+  return searchStartedAt ? Math.floor((Date.now() - searchStartedAt) / 1000) : 0;
+}
+
+/**
+ * Get the queue name for the current lobby
+ */
+function getQueueName() {
+  const queueId = currentLobby?.gameConfig?.queueId;
+  if (!queueId) {
+    return null;
+  }
+  return QUEUE_NAMES[queueId] || `Queue ${queueId}`;
+}
+
+/**
+ * Work out what the key should show
+ * @returns {{ title: string, subtitle: string, accentColor: string, timer?: string, progress?: number }}
+ */
+function getQueueDisplay() {
+  if (PHASE_LABELS[currentPhase]) {
+    return {
+      title: PHASE_LABELS[currentPhase],
+      subtitle: getQueueName() || '',
+      accentColor: '#0ACF83'
+    };
+  }
+
+  if (!currentLobby) {
+    return {
+      title: 'Find Match',
+      subtitle: 'Not in a lobby',
+      accentColor: '#5B5A56'
+    };
+  }
+
+  const penalty = getPenalty();
+  if (penalty) {
+    return {
+      title: isSearching() ? 'Low Priority' : 'Queue Penalty',
+      subtitle: isSearching() ? 'Press to cancel' : 'Matchmaking locked',
+      accentColor: '#E84057',
+      timer: canvasUtils.formatDuration(Math.round(penalty.remaining)),
+      progress: penalty.total > 0 ? penalty.remaining / penalty.total : 0
+    };
+  }
+
+  if (isSearching()) {
+    const elapsed = getElapsedTime();
+    const estimate = estimatedQueueTime ? `Est. ${canvasUtils.formatDuration(Math.round(estimatedQueueTime))} · ` : '';
+    return {
+      title: 'In Queue',
+      subtitle: `${estimate}press to cancel`,
+      accentColor: '#0AC8B9',
+      timer: canvasUtils.formatDuration(Math.round(elapsed)),
+      progress: estimatedQueueTime ? Math.min(1, elapsed / estimatedQueueTime) : null
+    };
+  }
+
+  return {
+    title: 'Find Match',
+    subtitle: isLobbyLeader() ? (getQueueName() || 'Press to start') : 'Waiting for party leader',
+    accentColor: isLobbyLeader() ? '#C89B3C' : '#5B5A56'
+  };
+}
+
+/**
+ * Creates the queue key canvas
+ * @param {object} config - Configuration object
+ * @returns {Promise<Canvas>} - Canvas object
+ */
+async function createQueueCanvas(config) {
+  const {
+    width = 360,
+    height = 60,
+    backgroundColor = '#0A1428'
+  } = config;
+
+  try {
+    const canvas = new Canvas(width, height);
+    const ctx = canvas.getContext('2d');
+    const padding = 8;
+    const display = getQueueDisplay();
+
+    canvasUtils.drawKeyBackground(ctx, width, height, backgroundColor);
+
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = display.accentColor;
+    ctx.font = 'bold 18px Arial';
+    ctx.fillText(display.title, padding, padding);
+
+    ctx.fillStyle = '#A09B8C';
+    ctx.font = '11px Arial';
+    ctx.fillText(display.subtitle, padding, padding + 24);
+
+    if (display.timer) {
+      ctx.textAlign = 'right';
+      ctx.fillStyle = '#F0E6D2';
+      ctx.font = 'bold 24px Arial';
+      ctx.fillText(display.timer, width - padding, padding + 2);
+    }
+
+    if (typeof display.progress === 'number') {
+      canvasUtils.drawProgressBar(
+        ctx, 0, height - 4, width, 4,
+        display.progress,
+        'rgba(255, 255, 255, 0.15)', display.accentColor, 0
+      );
+    }
+
+    return canvas;
+  } catch (error) {
+    logger.error('Failed to create queue canvas:', error);
+    return canvasUtils.createFallbackCanvas(width, height, 'Queue');
+  }
+}
+
+/**
+ * Render a queue key from the current lobby state
+ */
+async function renderQueueKey(serialNumber, keyManager, key) {
+  const canvas = await createQueueCanvas({
+    width: key.width || 360,
+    height: key.height || 60,
+    backgroundColor: key.style?.backgroundColor || '#0A1428'
+  });
+  const buttonDataUrl = await canvasUtils.canvasToDataURL(canvas);
+
+  if (buttonDataUrl) {
+    const safeKey = {
+      uid: key.uid,
+      width: key.width,
+      style: {
+        ...(key.style || {}),
+        showImage: true,
+        showTitle: false,
+        showIcon: false,
+        showEmoji: false
+      }
+    };
+    keyManager.simpleDraw(serialNumber, safeKey, buttonDataUrl);
+  }
+}
+
+/**
+ * Re-render every active queue key
+ */
+async function updateQueueKeys(keyManager) {
+  for (const keyId of Object.keys(keyManager.activeKeys)) {
+    const [serialNumber, keyUid] = keyId.split('-');
+    const key = keyManager.keyData[keyUid];
+
+    if (key && key.cid === QUEUE_CID) {
+      try {
+        await renderQueueKey(serialNumber, keyManager, key);
+      } catch (error) {
+        logger.error(`Failed to update queue key ${keyId}:`, error);
+      }
+    }
+  }
+}
+
+/**
+ * Keep the timer running only while there is something counting
+ */
+function syncTicker(keyManager) {
+  const counting = !PHASE_LABELS[currentPhase] && (isSearching() || !!getPenalty());
+
+  if (counting && !tickTimer) {
+    tickTimer = setInterval(() => {
+      // The search is gone once the client goes away; leave the keys to the offline state
+      if (!client.isAvailable()) {
+        currentSearchState = null;
+        currentPhase = null;
+        searchStartedAt = null;
+        estimatedQueueTime = null;
+        stopTicker();
+        return;
+      }
+
+      updateQueueKeys(keyManager).catch(error => {
+        logger.debug('Queue timer update failed:', error.message);
+      });
+    }, 1000);
+  } else if (!counting) {
+    stopTicker();
+  }
+}
+
+/**
+ * Stop the timer
+ */
+function stopTicker() {
+  if (tickTimer) {
+    clearInterval(tickTimer);
+    tickTimer = null;
+  }
+}
+
+/**
+ * Pick up the time already spent in queue and the estimate from the matchmaking service
+ */
+async function loadSearchTimes(keyManager) {
+  try {
+    const search = await client.request('/lol-matchmaking/v1/search');
+    if (search && isSearching()) {
+      searchStartedAt = Date.now() - (search.timeInQueue || 0) * 1000;
+      estimatedQueueTime = search.estimatedQueueTime || null;
+      await updateQueueKeys(keyManager);
+    }
+  } catch (error) {
+    logger.debug('Queue times unavailable:', error.message);
+  }
+}
+
+/**
+ * Store a new search state, tracking when searching starts and stops
+ */
+function setSearchState(keyManager, searchState) {
+  const wasSearching = isSearching();
+  currentSearchState = searchState || null;
+  penaltyReceivedAt = Date.now();
+
+  if (isSearching() && !wasSearching) {
+    searchStartedAt = Date.now();
+    estimatedQueueTime = null;
+    loadSearchTimes(keyManager);
+  } else if (!isSearching()) {
+    searchStartedAt = null;
+    estimatedQueueTime = null;
+  }
+}
+
+/**
+ * Initialize a queue key
+ * @param {string} serialNumber Device serial number
+ * @param {object} keyManager Key manager instance
+ * @param {object} key Key data
+ */
+async function initializeQueueKey(serialNumber, keyManager, key) {
+  const keyUid = key.uid;
+  const keyId = `${serialNumber}-${keyUid}`;
+
+  try {
+    await initializeClient();
+
+    // Check if client is available for API calls
+    if (!client.isAvailable()) {
+      logger.info(`League client not available for queue key ${keyId}, showing offline state`);
+      const safeKey = {
+        uid: keyUid,
+        width: key.width,
+        title: 'League Offline',
+        style: {
+          ...(key.style || {}),
+          showImage: false,
+          showTitle: true,
+          backgroundColor: '#8B0000' // Dark red background
+        }
+      };
+      keyManager.simpleTextDraw(serialNumber, safeKey);
+      return;
+    }
+
+    // Store key data
+    keyManager.keyData[keyUid] = key;
+    keyManager.activeKeys[keyId] = true;
+
+    await renderQueueKey(serialNumber, keyManager, key);
+
+  } catch (error) {
+    logger.error('Error initializing queue key:', error);
+
+    const safeKey = {
+      uid: keyUid,
+      title: 'Queue Unavailable',
+      style: {
+        showImage: false,
+        showTitle: true
+      }
+    };
+    keyManager.simpleTextDraw(serialNumber, safeKey);
+  }
+}
+
+/**
+ * Handle lobby updates (null when the lobby is closed)
+ * @param {object} keyManager Key manager instance
+ * @param {object|null} lobby Data from /lol-lobby/v2/lobby
+ */
+async function handleLobbyUpdate(keyManager, lobby) {
+  currentLobby = lobby || null;
+  if (!currentLobby) {
+    setSearchState(keyManager, null);
+  }
+
+  syncTicker(keyManager);
+  await updateQueueKeys(keyManager);
+}
+
+/**
+ * Handle matchmaking search state updates
+ * @param {object} keyManager Key manager instance
+ * @param {object|null} searchState Data from /lol-lobby/v2/lobby/matchmaking/search-state
+ */
+async function handleSearchStateUpdate(keyManager, searchState) {
+  setSearchState(keyManager, searchState);
+  syncTicker(keyManager);
+  await updateQueueKeys(keyManager);
+}
+
+/**
+ * Handle gameflow phase changes
+ * @param {object} keyManager Key manager instance
+ * @param {string} phase Gameflow phase
+ */
+async function handleQueuePhaseUpdate(keyManager, phase) {
+  currentPhase = phase;
+
+  // Polling never reports the lobby going away, so clear it once the client leaves the lobby flow
+  if (!['Lobby', 'Matchmaking', 'ReadyCheck'].includes(phase)) {
+    currentLobby = null;
+    setSearchState(keyManager, null);
+  }
+
+  syncTicker(keyManager);
+  await updateQueueKeys(keyManager);
+}
+
+/**
+ * Handle queue key press - start matchmaking, or cancel it while searching
+ * @param {string} serialNumber Device serial number
+ * @param {object} keyManager Key manager instance
+ * @param {object} key Key data
+ */
+async function handleQueueInteraction(serialNumber, keyManager, key) {
+  if (requestPending) {
+    return;
+  }
+
+  const canCancel = isSearching() && !PHASE_LABELS[currentPhase];
+  const canStart = !canCancel && !PHASE_LABELS[currentPhase] && isLobbyLeader() && !getPenalty();
+
+  if (!canCancel && !canStart) {
+    // Nothing to do - just redraw
+    await initializeQueueKey(serialNumber, keyManager, key);
+    return;
+  }
+
+  requestPending = true;
+  try {
+    if (canCancel) {
+      await client.delete(SEARCH_ENDPOINT);
+      logger.info('Matchmaking cancelled');
+      setSearchState(keyManager, { searchState: 'Canceled', errors: [] });
+    } else {
+      await client.post(SEARCH_ENDPOINT);
+      logger.info(`Matchmaking started${getQueueName() ? ` for ${getQueueName()}` : ''}`);
+      setSearchState(keyManager, { searchState: 'Searching', errors: [] });
+    }
+  } catch (error) {
+    logger.error(`Failed to ${canCancel ? 'cancel' : 'start'} matchmaking:`, error.message);
+  } finally {
+    requestPending = false;
+  }
+
+  // Show the change right away; the client confirms it with the next update
+  syncTicker(keyManager);
+  await updateQueueKeys(keyManager);
+}
+
+module.exports = {
+  initializeQueueKey,
+  handleLobbyUpdate,
+  handleSearchStateUpdate,
+  handleQueuePhaseUpdate,
+  handleQueueInteraction,
+  stopTicker
+};
@@ -13,6 +13,8 @@ const { Canvas, loadImage } = require('skia-canvas');
 const logger = require('../utils/logger');
 const { client, initializeClient } = require('../lol');
 const canvasUtils = require('./canvasUtils');
+const { getLastGameRecord, getLadderPoints } = require('./rankedLadder');
+const { getApexDetails } = require('./apexLeague');
 
 // Import rank icons
 const {
@@ -46,15 +48,100 @@ const RANK_ICONS = {
 const QUEUE_NAMES = {
   'RANKED_SOLO_5x5': 'Solo/Duo',
   'RANKED_FLEX_SR': 'Flex',
-  'RANKED_FLEX_TT': 'Flex 3v3'
+  'RANKED_FLEX_TT': 'Flex 3v3',
+  'RANKED_TFT': 'TFT',
+  'RANKED_TFT_DOUBLE_UP': 'TFT Double Up',
+  'RANKED_TFT_TURBO': 'TFT Hyper Roll',
+  'CHERRY': 'Arena'
 };
 
-// Available queue types in priority order
-const QUEUE_PRIORITY = ['RANKED_SOLO_5x5', 'RANKED_FLEX_SR', 'RANKED_FLEX_TT'];
+// Known queue types in priority order; other queues in the ranked stats follow these
+const QUEUE_PRIORITY = [
+  'RANKED_SOLO_5x5',
+  'RANKED_FLEX_SR',
+  'RANKED_TFT',
+  'RANKED_TFT_DOUBLE_UP',
+  'RANKED_TFT_TURBO',
+  'CHERRY',
+  'RANKED_FLEX_TT'
+];
+
+// Colors for rated tiers (Hyper Roll)
+const RATED_TIER_COLORS = {
+  'GRAY': '#8C8C8C',
+  'GREEN': '#3FAE5A',
+  'BLUE': '#3C8CE7',
+  'PURPLE': '#9B59D0',
+  'ORANGE': '#F39C32'
+};
 
 // Store current queue selection per key
 const keyQueueSelections = {};
 
+// Games shown in the "graph" display mode by default
+const DEFAULT_GRAPH_GAMES = 10;
+
+// Short tier names for the apex cutoff line
+const APEX_TIER_NAMES = {
+  GRANDMASTER: 'GM',
+  CHALLENGER: 'Challenger'
+};
+
+/**
+ * Checks if an entry has a ranked tier
+ */
+function hasRankedTier(entry) {
+  return !!(entry && entry.tier && entry.tier !== 'UNRANKED' && entry.tier !== 'NONE');
+}
+
+/**
+ * Placement games played in an entry
+ */
+function getPlacementGamesPlayed(entry) {
+  const threshold = entry.provisionalGameThreshold || 5;
+  return Math.max(0, threshold - (entry.provisionalGamesRemaining || 0));
+}
+
+/**
+ * Checks if an entry is unranked but has placement games played
+ */
+function isPlacementEntry(entry) {
+  return !!entry && !hasRankedTier(entry) &&
+    (entry.provisionalGamesRemaining || 0) > 0 &&
+    getPlacementGamesPlayed(entry) > 0;
+}
+
+/**
+ * Checks if an entry is ranked by rating instead of tier and LP (Hyper Roll, Arena)
+ */
+function isRatedEntry(entry) {
+  return !!entry && !hasRankedTier(entry) &&
+    ((!!entry.ratedTier && entry.ratedTier !== 'NONE') || (entry.ratedRating || 0) > 0);
+}
+
+/**
+ * Checks if an entry can be shown on the rank key (ranked, rated or in placements)
+ */
+function isDisplayableEntry(entry) {
+  return hasRankedTier(entry) || isRatedEntry(entry) || isPlacementEntry(entry);
+}
+
+/**
+ * Gets the display name of a queue ("RANKED_TFT_PAIRS" -> "Tft Pairs" for unknown queues)
+ */
+function getQueueName(queueType) {
+  if (QUEUE_NAMES[queueType]) {
+    return QUEUE_NAMES[queueType];
+  }
+
+  return String(queueType || '')
+    .replace(/^RANKED_/, '')
+    .split('_')
+    .filter(Boolean)
+    .map(word => word.charAt(0) + word.slice(1).toLowerCase())
+    .join(' ');
+}
+
 /**
  * Loads a rank icon from base64 data
  */
@@ -82,20 +169,18 @@ function getBestRankedEntry(rankedData) {
   }
 
   // Priority order: Solo/Duo > Flex > others
-  const priorityQueues = ['RANKED_SOLO_5x5', 'RANKED_FLEX_SR', 'RANKED_FLEX_TT'];
+  const availableQueues = getAvailableQueues(rankedData);
   
-  for (const queueType of priorityQueues) {
+  for (const queueType of availableQueues) {
     const entry = rankedData.queueMap[queueType];
-    if (entry && entry.tier && entry.tier !== 'UNRANKED') {
+    if (hasRankedTier(entry)) {
       return { ...entry, queueType };
     }
   }
 
-  // Fallback to any ranked entry
-  for (const [queueType, entry] of Object.entries(rankedData.queueMap)) {
-    if (entry && entry.tier && entry.tier !== 'UNRANKED') {
-      return { ...entry, queueType };
-    }
+  // Fallback to any rated entry or entry in placements
+  if (availableQueues.length > 0) {
+    return { ...rankedData.queueMap[availableQueues[0]], queueType: availableQueues[0] };
   }
 
   return null;
@@ -112,7 +197,7 @@ function formatRankText(entry) {
   const tier = entry.tier;
   const division = entry.division || '';
   const lp = entry.leaguePoints || 0;
-  const queueName = QUEUE_NAMES[entry.queueType] || entry.queueType;
+  const queueName = getQueueName(entry.queueType);
 
   // For Master, Grandmaster, and Challenger, don't show division
   if (['MASTER', 'GRANDMASTER', 'CHALLENGER'].includes(tier)) {
@@ -131,10 +216,13 @@ function getAvailableQueues(rankedData) {
     return [];
   }
 
-  return QUEUE_PRIORITY.filter(queueType => {
-    const entry = rankedData.queueMap[queueType];
-    return entry && entry.tier && entry.tier !== 'UNRANKED';
-  });
+  // Known queues first, then any other queue in the ranked stats
+  const otherQueues = Object.keys(rankedData.queueMap)
+    .filter(queueType => !QUEUE_PRIORITY.includes(queueType))
+    .sort();
+
+  return [...QUEUE_PRIORITY, ...otherQueues]
+    .filter(queueType => isDisplayableEntry(rankedData.queueMap[queueType]));
 }
 
 /**
@@ -171,10 +259,9 @@ function getDefaultQueueForKey(keyId, availableQueues) {
   }
 
   // Find the first unused queue in priority order
-  for (const queueType of QUEUE_PRIORITY) {
-    if (availableQueues.includes(queueType) && !usedQueues.includes(queueType)) {
-      return queueType;
-    }
+  const unusedQueue = availableQueues.find(queueType => !usedQueues.includes(queueType));
+  if (unusedQueue) {
+    return unusedQueue;
   }
 
   // Fallback to first available queue if all are taken
@@ -228,17 +315,129 @@ function getRankedEntryForQueue(rankedData, queueType) {
   }
 
   const entry = rankedData.queueMap[queueType];
-  if (entry && entry.tier && entry.tier !== 'UNRANKED') {
+  if (isDisplayableEntry(entry)) {
     return { ...entry, queueType };
   }
 
   return null;
 }
 
+/**
+ * Gets the persisted LP history of a queue
+ */
+function getQueueLpHistory(keyManager, queueType) {
+  if (!queueType || typeof keyManager.getLpHistory !== 'function') {
+    return [];
+  }
+  return keyManager.getLpHistory(queueType);
+}
+
+/**
+ * Draws a sparkline of ladder scores, with faint lines at division boundaries
+ */
+function drawRankSparkline(ctx, points, x, y, width, height) {
+  if (points.length < 2) {
+    ctx.fillStyle = '#A09B8C';
+    ctx.font = '11px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('Play ranked games to see your graph', x + width / 2, y + height / 2);
+    return;
+  }
+
+  const divisionSize = 100;
+  const min = Math.min(...points);
+  const max = Math.max(...points);
+  const range = Math.max(max - min, 20); // Keep small changes from filling the whole height
+  const middle = (max + min) / 2;
+  const toX = (index) => x + (index / (points.length - 1)) * width;
+  const toY = (score) => y + height / 2 - ((score - middle) / range) * height;
+
+  // Division boundaries crossed by the graph
+  ctx.strokeStyle = 'rgba(160, 155, 140, 0.3)';
+  ctx.lineWidth = 1;
+  for (let boundary = Math.ceil(min / divisionSize) * divisionSize; boundary <= max; boundary += divisionSize) {
+    ctx.beginPath();
+    ctx.moveTo(x, toY(boundary));
+    ctx.lineTo(x + width, toY(boundary));
+    ctx.stroke();
+  }
+
+  ctx.strokeStyle = '#C89B3C';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  points.forEach((score, index) => {
+    if (index === 0) {
+      ctx.moveTo(toX(index), toY(score));
+    } else {
+      ctx.lineTo(toX(index), toY(score));
+    }
+  });
+  ctx.stroke();
+
+  // Latest point, colored by the last change
+  const last = points[points.length - 1];
+  ctx.fillStyle = last >= points[points.length - 2] ? '#0AC8B9' : '#E84057';
+  ctx.beginPath();
+  ctx.arc(toX(points.length - 1), toY(last), 3, 0, 2 * Math.PI);
+  ctx.fill();
+}
+
+/**
+ * Draws mini series progress ("WLN") as pips after a label
+ */
+function drawSeriesProgress(ctx, progress, x, y) {
+  ctx.fillStyle = '#A09B8C';
+  ctx.font = '10px Arial';
+  ctx.textAlign = 'left';
+  ctx.fillText('Promos', x, y);
+
+  let pipX = x + ctx.measureText('Promos').width + 8;
+  progress.split('').forEach(result => {
+    ctx.beginPath();
+    ctx.arc(pipX, y, 4, 0, 2 * Math.PI);
+    if (result === 'W' || result === 'L') {
+      ctx.fillStyle = result === 'W' ? '#0AC8B9' : '#E84057';
+      ctx.fill();
+    } else {
+      ctx.strokeStyle = '#A09B8C';
+      ctx.lineWidth = 1;
+      ctx.stroke();
+    }
+    pipX += 11;
+  });
+}
+
+/**
+ * Gets the extra detail line for an entry: provisional games or apex ladder details
+ */
+function getDetailText(entry, apexDetails) {
+  if ((entry.isProvisional || isPlacementEntry(entry)) && (entry.provisionalGamesRemaining || 0) > 0) {
+    return `Provisional ${getPlacementGamesPlayed(entry)}/${entry.provisionalGameThreshold || 5}`;
+  }
+
+  if (apexDetails) {
+    const parts = [];
+    if (apexDetails.position) {
+      parts.push(`#${apexDetails.position.toLocaleString('en-US')}`);
+    }
+    if (apexDetails.cutoff !== null) {
+      parts.push(apexDetails.cutoffTier === entry.tier
+        ? `Cutoff ${apexDetails.cutoff} LP`
+        : `${APEX_TIER_NAMES[apexDetails.cutoffTier]} at ${apexDetails.cutoff} LP`);
+    }
+    return parts.length > 0 ? parts.join(' · ') : null;
+  }
+
+  return null;
+}
+
 /**
  * Renders the rank key canvas
+ * @param {Array} lpHistory Persisted LP history of the shown queue (for the LP change and graph)
+ * @param {object|null} apexDetails Ladder position and cutoff for Master+ entries
  */
-async function renderRankKey(key, rankedData, keyId = null) {
+async function renderRankKey(key, rankedData, keyId = null, lpHistory = [], apexDetails = null) {
   try {
     const width = key.width || 360;
     const height = 60; // Fixed height for consistency
@@ -274,7 +473,10 @@ async function renderRankKey(key, rankedData, keyId = null) {
     }
 
     // Load rank icon (using the same pattern as wallet key)
-    const rankIcon = await loadRankIcon(bestEntry.tier);
+    const placement = isPlacementEntry(bestEntry);
+    const rated = isRatedEntry(bestEntry);
+    const ratedColor = rated ? RATED_TIER_COLORS[bestEntry.ratedTier] || null : null;
+    const rankIcon = placement || rated ? null : await loadRankIcon(bestEntry.tier);
 
     // Layout calculations
     const padding = 6;
@@ -286,8 +488,8 @@ async function renderRankKey(key, rankedData, keyId = null) {
     if (rankIcon) {
       canvasUtils.drawIcon(ctx, rankIcon, iconX, iconY, iconSize, 4);
     } else {
-      // Fallback: draw colored circle if icon fails to load
-      ctx.fillStyle = '#666666';
+      // Fallback: draw colored circle if icon fails to load (rated tier color when there is one)
+      ctx.fillStyle = ratedColor || '#666666';
       ctx.beginPath();
       ctx.arc(iconX + iconSize / 2, iconY + iconSize / 2, iconSize / 2, 0, 2 * Math.PI);
       ctx.fill();
@@ -306,23 +508,68 @@ async function renderRankKey(key, rankedData, keyId = null) {
     
     // For Master, Grandmaster, and Challenger, don't show division
     let tierText;
-    if (['MASTER', 'GRANDMASTER', 'CHALLENGER'].includes(tier)) {
+    if (placement) {
+      tierText = 'Placements';
+    } else if (rated) {
+      tierText = ratedColor
+        ? bestEntry.ratedTier.charAt(0) + bestEntry.ratedTier.slice(1).toLowerCase()
+        : 'Rated';
+    } else if (['MASTER', 'GRANDMASTER', 'CHALLENGER'].includes(tier)) {
       tierText = tier;
     } else {
       tierText = `${tier} ${division}`;
     }
 
     // Queue name
-    const queueName = QUEUE_NAMES[bestEntry.queueType] || bestEntry.queueType;
+    const queueName = getQueueName(bestEntry.queueType);
+
+    // LP, or rating for rated queues (none during placements)
+    const valueText = placement ? '' : rated ? `${bestEntry.ratedRating || 0} Rating` : `${lp} LP`;
+
+    // LP gained or lost in the last game
+    const lastGame = getLastGameRecord(lpHistory);
+    const lpChange = lastGame ? lastGame.lpChange : null;
+
+    // Graph mode: sparkline of the last games between the emblem and the LP
+    const graphWidth = width - textX - padding - 110;
+    if (key.data?.displayMode === 'graph' && graphWidth >= 60) {
+      const games = Math.max(2, Math.min(50, Number(key.data.graphGames) || DEFAULT_GRAPH_GAMES));
+      drawRankSparkline(ctx, getLadderPoints(lpHistory, games), textX, 10, graphWidth, height - 20);
+
+      const rightX = width - padding - 15;
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'middle';
+      ctx.fillStyle = '#CDBE91';
+      ctx.font = 'bold 20px Arial';
+      ctx.fillText(valueText, rightX, height / 2 - 6);
+
+      if (lpChange !== null) {
+        const lpWidth = ctx.measureText(valueText).width;
+        ctx.fillStyle = lpChange >= 0 ? '#0AC8B9' : '#E84057';
+        ctx.font = 'bold 13px Arial';
+        ctx.fillText(`${lpChange >= 0 ? '+' : ''}${lpChange}`, rightX - lpWidth - 6, height / 2 - 6);
+      }
+
+      ctx.fillStyle = '#A09B8C';
+      ctx.font = '11px Arial';
+      ctx.fillText(`${tierText} · ${queueName}`, rightX, height / 2 + 9);
+      return canvas;
+    }
 
     // Left side: Tier and Queue (stacked vertically)
-    ctx.fillStyle = '#CDBE91';
+    ctx.fillStyle = ratedColor || '#CDBE91';
     ctx.font = 'bold 16px Arial';
     ctx.textAlign = 'left';
     ctx.textBaseline = 'middle';
     
-    const leftTextY1 = height / 2 - 6; // Upper text (tier)
-    const leftTextY2 = height / 2 + 9; // Lower text (queue)
+    // Promotion series, provisional games or apex details go on a third line
+    const seriesProgress = key.data?.showPromoHelper !== false ? bestEntry.miniSeriesProgress || '' : '';
+    const detailText = seriesProgress ? null : getDetailText(bestEntry, apexDetails);
+    const hasDetailLine = !!(seriesProgress || detailText);
+    
+    const leftTextY1 = height / 2 - (hasDetailLine ? 13 : 6); // Upper text (tier)
+    const leftTextY2 = height / 2 + (hasDetailLine ? 2 : 9); // Lower text (queue)
+    const detailY = height / 2 + 17;
     
     ctx.fillText(tierText, textX, leftTextY1);
     
@@ -330,15 +577,31 @@ async function renderRankKey(key, rankedData, keyId = null) {
     ctx.fillStyle = '#A09B8C';
     ctx.font = '12px Arial';
     ctx.fillText(queueName, textX, leftTextY2);
+    
+    if (seriesProgress) {
+      drawSeriesProgress(ctx, seriesProgress, textX, detailY);
+    } else if (detailText) {
+      ctx.fillStyle = '#C89B3C';
+      ctx.font = '10px Arial';
+      ctx.fillText(detailText, textX, detailY);
+    }
 
     // Right side: LP and Win/Loss (stacked vertically)
     const rightTextX = width - padding - 15; // Add more space from right edge
     
-    // LP (upper right) - much bigger text
+    // LP or rating (upper right) - much bigger text
     ctx.fillStyle = '#CDBE91';
     ctx.font = 'bold 20px Arial'; // Increased from 14px to 20px
     ctx.textAlign = 'right';
-    ctx.fillText(`${lp} LP`, rightTextX, leftTextY1);
+    ctx.fillText(valueText, rightTextX, leftTextY1);
+    
+    // LP gained or lost in the last game (left of the LP)
+    if (lpChange !== null && valueText) {
+      const lpWidth = ctx.measureText(valueText).width;
+      ctx.fillStyle = lpChange >= 0 ? '#0AC8B9' : '#E84057';
+      ctx.font = 'bold 13px Arial';
+      ctx.fillText(`${lpChange >= 0 ? '+' : ''}${lpChange}`, rightTextX - lpWidth - 6, leftTextY1);
+    }
     
     // Win/Loss record (lower right, if available)
     if (wins !== undefined && losses !== undefined) {
@@ -430,7 +693,10 @@ async function initializeRankKey(serialNumber, keyManager, key, rankedData = nul
     keyManager.activeKeys[keyId] = true;
     
     // Create and display the rank key with keyId for queue selection
-    const canvas = await renderRankKey(key, ranked, keyId);
+    const queueType = getCurrentQueue(keyId, ranked);
+    const entry = getRankedEntryForQueue(ranked, queueType);
+    const apexDetails = entry ? await getApexDetails(queueType, entry.tier) : null;
+    const canvas = await renderRankKey(key, ranked, keyId, getQueueLpHistory(keyManager, queueType), apexDetails);
     
     // Convert canvas to data URL
     const dataUrl = await canvasUtils.canvasToDataURL(canvas);
@@ -506,7 +772,9 @@ async function handleRankKeyInteraction(serialNumber, keyManager, key, rankedDat
     logger.info(`Rank key ${keyId} cycled to queue: ${newQueue}`);
     
     // Re-render with new queue selection
-    const canvas = await renderRankKey(key, ranked, keyId);
+    const entry = getRankedEntryForQueue(ranked, newQueue);
+    const apexDetails = entry ? await getApexDetails(newQueue, entry.tier) : null;
+    const canvas = await renderRankKey(key, ranked, keyId, getQueueLpHistory(keyManager, newQueue), apexDetails);
     
     // Convert canvas to data URL
     const dataUrl = await canvasUtils.canvasToDataURL(canvas);
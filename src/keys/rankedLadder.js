@@ -0,0 +1,138 @@
+/**
+ * Ranked Ladder
+ * Places ranked entries on one continuous LP scale so LP changes can be measured
+ * across divisions and tiers
+ */
+
+const TIERS = ['IRON', 'BRONZE', 'SILVER', 'GOLD', 'PLATINUM', 'EMERALD', 'DIAMOND', 'MASTER', 'GRANDMASTER', 'CHALLENGER'];
+const DIVISIONS = ['IV', 'III', 'II', 'I'];
+
+// Master, Grandmaster and Challenger share one LP ladder starting at Master
+const APEX_TIERS = ['MASTER', 'GRANDMASTER', 'CHALLENGER'];
+const LP_PER_DIVISION = 100;
+
+/**
+ * Position of a ranked entry on the ladder in LP (Iron IV 0 LP = 0)
+ * @param {object} entry Ranked queue entry ({ tier, division, leaguePoints })
+ * @returns {number|null} null for unranked entries
+ */
+function getLadderScore(entry) {
+  const tierIndex = entry ? TIERS.indexOf(entry.tier) : -1;
+  if (tierIndex === -1) {
+    return null;
+  }
+
+  const leaguePoints = entry.leaguePoints || 0;
+  if (APEX_TIERS.includes(entry.tier)) {
+    return TIERS.indexOf('MASTER') * DIVISIONS.length * LP_PER_DIVISION + leaguePoints;
+  }
+
+  const divisionIndex = Math.max(0, DIVISIONS.indexOf(entry.division));
+  return (tierIndex * DIVISIONS.length + divisionIndex) * LP_PER_DIVISION + leaguePoints;
+}
+
+/**
+ * LP gained (positive) or lost (negative) between two entries of the same queue
+ * @returns {number|null} null when either entry is unranked
+ */
+function getLpChange(before, after) {
+  const from = getLadderScore(before);
+  const to = getLadderScore(after);
+  return from === null || to === null ? null : to - from;
+}
+
+/**
+ * Games played in a ranked entry (wins and losses)
+ */
+function getGamesPlayed(entry) {
+  return (entry?.wins || 0) + (entry?.losses || 0);
+}
+
+/**
+ * Build an LP history record for a ranked entry
+ * A record is only created when the entry changed since the previous record; lpChange is
+ * set when games were played since then (so LP decay or corrections don't count as a game)
+ * @param {object} entry Ranked queue entry from queueMap
+ * @param {object|null} previous Previous history record for the queue
+ * @param {number} timestamp When the entry was observed
+ * @returns {object|null} { tier, division, leaguePoints, wins, losses, games, lpChange, timestamp }
+ */
+function createLpHistoryRecord(entry, previous, timestamp) {
+  if (!entry) {
+    return null;
+  }
+
+  const record = {
+    tier: entry.tier || '',
+    division: entry.division || '',
+    leaguePoints: entry.leaguePoints || 0,
+    wins: entry.wins || 0,
+    losses: entry.losses || 0,
+    games: 0,
+    lpChange: null,
+    timestamp
+  };
+
+  if (previous &&
+      previous.tier === record.tier &&
+      previous.division === record.division &&
+      previous.leaguePoints === record.leaguePoints &&
+      previous.wins === record.wins &&
+      previous.losses === record.losses) {
+    return null;
+  }
+
+  if (previous) {
+    record.games = Math.max(0, getGamesPlayed(record) - getGamesPlayed(previous));
+    if (record.games > 0) {
+      record.lpChange = getLpChange(previous, record);
+    }
+  }
+
+  return record;
+}
+
+/**
+ * The most recent record in a history that came from a played game
+ */
+function getLastGameRecord(history) {
+  for (let i = (history || []).length - 1; i >= 0; i--) {
+    if (history[i].games > 0) {
+      return history[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Ladder scores for a sparkline of the last games in a history
+ * @param {Array} history LP history records (oldest first)
+ * @param {number} games Number of games to include
+ * @returns {number[]} Up to games + 1 scores: the rank before the first game, then after each game
+ */
+function getLadderPoints(history, games) {
+  const records = history || [];
+  const gameIndexes = records
+    .map((record, index) => (record.games > 0 ? index : -1))
+    .filter(index => index !== -1)
+    .slice(-games);
+
+  if (gameIndexes.length > 0 && gameIndexes[0] > 0) {
+    gameIndexes.unshift(gameIndexes[0] - 1);
+  }
+
+  return gameIndexes
+    .map(index => getLadderScore(records[index]))
+    .filter(score => score !== null);
+}
+
+module.exports = {
+  TIERS,
+  DIVISIONS,
+  getLadderScore,
+  getLpChange,
+  getGamesPlayed,
+  createLpHistoryRecord,
+  getLastGameRecord,
+  getLadderPoints
+};
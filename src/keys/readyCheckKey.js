@@ -0,0 +1,385 @@
+/**
+ * Ready Check Key Implementation
+ * Lights up with a countdown when a match is found; press to accept, or press the red
+ * decline area on the right edge to decline (after accepting, a press anywhere declines)
+ * Set data.autoAccept on the key (ready check key config page) to accept ready checks automatically
+ */
+
+const { Canvas } = require('skia-canvas');
+const logger = require('../utils/logger');
+const { client, initializeClient } = require('../lol');
+const canvasUtils = require('./canvasUtils');
+
+const READY_CHECK_CID = 'com.sondrenjaastad.leagueoflegends.readycheck';
+
+// Seconds the client gives players to respond. The ready check payload only has the
+// elapsed time (timer), not the length, and the client's ready check lasts 12 seconds
+const READY_CHECK_DURATION = 12;
+
+// Width of the decline area on the right edge, and the narrowest key that has one
+const DECLINE_AREA_WIDTH = 90;
+const MIN_DECLINE_AREA_KEY_WIDTH = 200;
+
+// Latest ready check and when it was received (for the countdown)
+let currentReadyCheck = null;
+let readyCheckReceivedAt = 0;
+
+// Set once auto-accept has answered the current ready check
+let autoAcceptSent = false;
+
+// Redraws the countdown every second while a ready check is in progress
+let countdownTimer = null;
+
+/**
+ * Check if a ready check is waiting for responses
+ */
+function isReadyCheckActive(readyCheck) {
+  return !!readyCheck && readyCheck.state === 'InProgress';
+}
+
+/**
+ * Check if a key has auto-accept enabled
+ */
+function isAutoAcceptEnabled(key) {
+  return !!(key && key.data && key.data.autoAccept);
+}
+
+/**
+ * Left edge of the decline area (null when the key is too narrow for one)
+ */
+function getDeclineAreaX(width) {
+  return width >= MIN_DECLINE_AREA_KEY_WIDTH ? width - DECLINE_AREA_WIDTH : null;
+}
+
+/**
+ * Seconds left to respond, counting down from the last update
+ */
+function getTimeLeft(readyCheck) {
+  const elapsed = (readyCheck.timer || 0) + (Date.now() - readyCheckReceivedAt) / 1000;
+  return Math.max(0, Math.ceil(READY_CHECK_DURATION - elapsed));
+}
+
+/**
+ * Creates the ready check key canvas
+ * @param {object} config - Configuration object
+ * @returns {Promise<Canvas>} - Canvas object
+ */
+async function createReadyCheckCanvas(config) {
+  const {
+    width = 360,
+    height = 60,
+    readyCheck,
+    autoAccept = false,
+    backgroundColor = '#0A1428'
+  } = config;
+
+  try {
+    const canvas = new Canvas(width, height);
+    const ctx = canvas.getContext('2d');
+    const padding = 8;
+
+    let title;
+    let subtitle;
+    let accentColor;
+    let fill = backgroundColor;
+    let timeLeft = null;
+    let declineAreaX = null;
+
+    if (isReadyCheckActive(readyCheck)) {
+      timeLeft = getTimeLeft(readyCheck);
+
+      if (readyCheck.playerResponse === 'Accepted') {
+        title = 'Accepted';
+        subtitle = 'Waiting for others · press to decline';
+        accentColor = '#0ACF83';
+        fill = '#0B2A1F';
+      } else if (readyCheck.playerResponse === 'Declined') {
+        title = 'Declined';
+        subtitle = 'Press to accept';
+        accentColor = '#E84057';
+        fill = '#2A0B12';
+      } else {
+        declineAreaX = getDeclineAreaX(width);
+        title = 'MATCH FOUND';
+        subtitle = declineAreaX !== null ? 'Press to accept · right to decline' : 'Press to accept';
+        accentColor = '#F0E6D2';
+        fill = '#1E6E5A';
+      }
+    } else if (readyCheck && readyCheck.state === 'EveryoneReady') {
+      title = 'Match Accepted';
+      subtitle = 'Entering champion select';
+      accentColor = '#0ACF83';
+    } else if (readyCheck && (readyCheck.state === 'StrangerNotReady' || readyCheck.state === 'PartyNotReady')) {
+      title = 'Match Declined';
+      subtitle = 'Returning to queue';
+      accentColor = '#E84057';
+    } else {
+      title = 'Ready Check';
+      subtitle = autoAccept ? 'Auto-accept on' : 'Waiting for a match';
+      accentColor = '#C89B3C';
+    }
+
+    canvasUtils.drawKeyBackground(ctx, width, height, fill);
+
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = accentColor;
+    ctx.font = 'bold 18px Arial';
+    ctx.fillText(title, padding, padding);
+
+    ctx.fillStyle = '#A09B8C';
+    ctx.font = '11px Arial';
+    ctx.fillText(subtitle, padding, padding + 24);
+
+    // Decline area (right edge) while the ready check is unanswered
+    if (declineAreaX !== null) {
+      ctx.fillStyle = '#2A0B12';
+      ctx.fillRect(declineAreaX, 0, DECLINE_AREA_WIDTH, height);
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillStyle = '#E84057';
+      ctx.font = 'bold 14px Arial';
+      ctx.fillText('DECLINE', declineAreaX + DECLINE_AREA_WIDTH / 2, height / 2 - 2);
+      ctx.textBaseline = 'top';
+    }
+
+    if (timeLeft !== null) {
+      ctx.textAlign = 'right';
+      ctx.fillStyle = timeLeft <= 3 ? '#E84057' : '#F0E6D2';
+      ctx.font = 'bold 24px Arial';
+      ctx.fillText(`${timeLeft}s`, (declineAreaX !== null ? declineAreaX : width) - padding, padding + 2);
+
+      // Time remaining bar along the bottom edge
+      canvasUtils.drawProgressBar(
+        ctx, 0, height - 4, width, 4,
+        timeLeft / READY_CHECK_DURATION,
+        'rgba(255, 255, 255, 0.15)', accentColor, 0
+      );
+    }
+
+    return canvas;
+  } catch (error) {
+    logger.error('Failed to create ready check canvas:', error);
+    return canvasUtils.createFallbackCanvas(width, height, 'Ready Check');
+  }
+}
+
+/**
+ * Render a ready check key from the current ready check
+ */
+async function renderReadyCheckKey(serialNumber, keyManager, key) {
+  const canvas = await createReadyCheckCanvas({
+    width: key.width || 360,
+    height: key.height || 60,
+    readyCheck: currentReadyCheck,
+    autoAccept: isAutoAcceptEnabled(key),
+    backgroundColor: key.style?.backgroundColor || '#0A1428'
+  });
+  const buttonDataUrl = await canvasUtils.canvasToDataURL(canvas);
+
+  if (buttonDataUrl) {
+    const safeKey = {
+      uid: key.uid,
+      width: key.width,
+      style: {
+        ...(key.style || {}),
+        showImage: true,
+        showTitle: false,
+        showIcon: false,
+        showEmoji: false
+      }
+    };
+    keyManager.simpleDraw(serialNumber, safeKey, buttonDataUrl);
+  }
+}
+
+/**
+ * Get all active ready check keys
+ * @returns {Array<{ serialNumber: string, key: object }>}
+ */
+function getReadyCheckKeys(keyManager) {
+  return Object.keys(keyManager.activeKeys)
+    .map(keyId => {
+      const [serialNumber, keyUid] = keyId.split('-');
+      return { serialNumber, key: keyManager.keyData[keyUid] };
+    })
+    .filter(({ key }) => key && key.cid === READY_CHECK_CID);
+}
+
+/**
+ * Re-render every active ready check key
+ */
+async function updateReadyCheckKeys(keyManager) {
+  for (const { serialNumber, key } of getReadyCheckKeys(keyManager)) {
+    try {
+      await renderReadyCheckKey(serialNumber, keyManager, key);
+    } catch (error) {
+      logger.error(`Failed to update ready check key ${key.uid}:`, error);
+    }
+  }
+}
+
+/**
+ * Start redrawing the countdown every second
+ */
+function startCountdown(keyManager) {
+  stopCountdown();
+  countdownTimer = setInterval(() => {
+    // The ready check is gone once the client goes away; leave the keys to the offline state
+    if (!client.isAvailable()) {
+      currentReadyCheck = null;
+      autoAcceptSent = false;
+      stopCountdown();
+      return;
+    }
+
+    updateReadyCheckKeys(keyManager).catch(error => {
+      logger.debug('Ready check countdown update failed:', error.message);
+    });
+  }, 1000);
+}
+
+/**
+ * Stop the countdown timer
+ */
+function stopCountdown() {
+  if (countdownTimer) {
+    clearInterval(countdownTimer);
+    countdownTimer = null;
+  }
+}
+
+/**
+ * Respond to the current ready check
+ * @param {'accept'|'decline'} response
+ */
+async function respondToReadyCheck(keyManager, response) {
+  await client.post(`/lol-matchmaking/v1/ready-check/${response}`);
+  logger.info(`Ready check ${response === 'accept' ? 'accepted' : 'declined'}`);
+
+  // Show the response right away; the client confirms it with the next update
+  if (isReadyCheckActive(currentReadyCheck)) {
+    currentReadyCheck = {
+      ...currentReadyCheck,
+      playerResponse: response === 'accept' ? 'Accepted' : 'Declined'
+    };
+    await updateReadyCheckKeys(keyManager);
+  }
+}
+
+/**
+ * Initialize a ready check key
+ * @param {string} serialNumber Device serial number
+ * @param {object} keyManager Key manager instance
+ * @param {object} key Key data
+ */
+async function initializeReadyCheckKey(serialNumber, keyManager, key) {
+  const keyUid = key.uid;
+  const keyId = `${serialNumber}-${keyUid}`;
+
+  try {
+    await initializeClient();
+
+    // Check if client is available for API calls
+    if (!client.isAvailable()) {
+      logger.info(`League client not available for ready check key ${keyId}, showing offline state`);
+      const safeKey = {
+        uid: keyUid,
+        width: key.width,
+        title: 'League Offline',
+        style: {
+          ...(key.style || {}),
+          showImage: false,
+          showTitle: true,
+          backgroundColor: '#8B0000' // Dark red background
+        }
+      };
+      keyManager.simpleTextDraw(serialNumber, safeKey);
+      return;
+    }
+
+    // Store key data
+    keyManager.keyData[keyUid] = key;
+    keyManager.activeKeys[keyId] = true;
+
+    await renderReadyCheckKey(serialNumber, keyManager, key);
+
+  } catch (error) {
+    logger.error('Error initializing ready check key:', error);
+
+    const safeKey = {
+      uid: keyUid,
+      title: 'Ready Check Unavailable',
+      style: {
+        showImage: false,
+        showTitle: true
+      }
+    };
+    keyManager.simpleTextDraw(serialNumber, safeKey);
+  }
+}
+
+/**
+ * Handle ready check updates (null when there is no ready check)
+ * @param {object} keyManager Key manager instance
+ * @param {object|null} readyCheck Data from /lol-matchmaking/v1/ready-check
+ */
+async function handleReadyCheckUpdate(keyManager, readyCheck) {
+  currentReadyCheck = readyCheck || null;
+  readyCheckReceivedAt = Date.now();
+
+  if (isReadyCheckActive(currentReadyCheck)) {
+    if (!countdownTimer) {
+      startCountdown(keyManager);
+    }
+
+    // Auto-accept once per ready check if any key asks for it
+    const wantsAutoAccept = getReadyCheckKeys(keyManager).some(({ key }) => isAutoAcceptEnabled(key));
+    if (wantsAutoAccept && !autoAcceptSent && currentReadyCheck.playerResponse === 'None') {
+      autoAcceptSent = true;
+      try {
+        await respondToReadyCheck(keyManager, 'accept');
+      } catch (error) {
+        logger.error('Failed to auto-accept ready check:', error.message);
+      }
+    }
+  } else {
+    stopCountdown();
+    autoAcceptSent = false;
+  }
+
+  await updateReadyCheckKeys(keyManager);
+}
+
+/**
+ * Handle ready check key press - accept, or decline in the decline area or if already accepted
+ * @param {string} serialNumber Device serial number
+ * @param {object} keyManager Key manager instance
+ * @param {object} key Key data
+ * @param {{ x: number, y: number }|undefined} position Touch position in key pixels
+ */
+async function handleReadyCheckInteraction(serialNumber, keyManager, key, position) {
+  if (!isReadyCheckActive(currentReadyCheck)) {
+    // Nothing to answer - just redraw
+    await initializeReadyCheckKey(serialNumber, keyManager, key);
+    return;
+  }
+
+  try {
+    const declineAreaX = getDeclineAreaX(key.width || 360);
+    const inDeclineArea = currentReadyCheck.playerResponse === 'None' && declineAreaX !== null &&
+      !!position && typeof position.x === 'number' && position.x >= declineAreaX;
+
+    const response = currentReadyCheck.playerResponse === 'Accepted' || inDeclineArea ? 'decline' : 'accept';
+    await respondToReadyCheck(keyManager, response);
+  } catch (error) {
+    logger.error('Failed to respond to ready check:', error.message);
+  }
+}
+
+module.exports = {
+  initializeReadyCheckKey,
+  handleReadyCheckUpdate,
+  handleReadyCheckInteraction,
+  stopCountdown
+};
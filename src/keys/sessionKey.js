@@ -0,0 +1,438 @@
+/**
+ * Session Key Implementation
+ * Tracks the current play session: games played, wins and losses, the current streak
+ * and net LP across ranked queues
+ *
+ * Finished games are recorded from the end of game stats when gameflow reaches EndOfGame,
+ * and LP from the ranked LP history, both persisted by the StateManager. Each key works out
+ * its own session from its data:
+ * - resetMode "daily" (default): the session starts every day at data.resetHour (default 6)
+ * - resetMode "idle": the session ends after data.idleHours (default 3) without a game
+ */
+
+const { Canvas } = require('skia-canvas');
+const logger = require('../utils/logger');
+const { client, initializeClient } = require('../lol');
+const canvasUtils = require('./canvasUtils');
+const { isEndOfGameWin } = require('./postGameKey');
+
+const SESSION_CID = 'com.sondrenjaastad.leagueoflegends.session';
+
+const EOG_STATS_ENDPOINT = '/lol-end-of-game/v1/eog-stats-block';
+
+const DEFAULT_RESET_HOUR = 6;
+const DEFAULT_IDLE_HOURS = 3;
+const HOUR = 60 * 60 * 1000;
+
+// Longest wait before a boundary redraw, so long idle times don't overflow setTimeout
+const MAX_BOUNDARY_DELAY = 24 * HOUR;
+
+// Redraws the session keys when the current session ends
+let boundaryTimer = null;
+
+/**
+ * Read the session reset settings from a key's data
+ */
+function getSessionConfig(key) {
+  const data = key.data || {};
+  const resetHour = Number(data.resetHour);
+  const idleHours = Number(data.idleHours);
+
+  return {
+    resetMode: data.resetMode === 'idle' ? 'idle' : 'daily',
+    resetHour: Number.isInteger(resetHour) && resetHour >= 0 && resetHour < 24 ? resetHour : DEFAULT_RESET_HOUR,
+    idleHours: idleHours > 0 ? idleHours : DEFAULT_IDLE_HOURS
+  };
+}
+
+/**
+ * When the current session started
+ * @param {Array} games Recorded games (oldest first)
+ * @param {object} config Session config
+ * @param {number} now Current time
+ * @returns {number} Timestamp
+ */
+function getSessionStart(games, config, now = Date.now()) {
+  if (config.resetMode === 'idle') {
+    const idleTime = config.idleHours * HOUR;
+    let index = games.length - 1;
+
+    // Nothing played recently: the next game starts a new session
+    if (index < 0 || now - games[index].endedAt > idleTime) {
+      return now;
+    }
+
+    // Walk back while games follow each other within the idle time
+    while (index > 0 && games[index].startedAt - games[index - 1].endedAt <= idleTime) {
+      index--;
+    }
+    return games[index].startedAt;
+  }
+
+  const start = new Date(now);
+  start.setHours(config.resetHour, 0, 0, 0);
+  if (start.getTime() > now) {
+    start.setDate(start.getDate() - 1);
+  }
+  return start.getTime();
+}
+
+/**
+ * When the current session ends
+ * @param {Array} games Recorded games (oldest first)
+ * @param {object} config Session config
+ * @param {number} now Current time
+ * @returns {number|null} Timestamp, or null when no session is running (idle mode without a recent game)
+ */
+function getSessionEnd(games, config, now = Date.now()) {
+  if (config.resetMode === 'idle') {
+    const lastGame = games[games.length - 1];
+    const end = lastGame ? lastGame.endedAt + config.idleHours * HOUR : null;
+    return end !== null && end > now ? end : null;
+  }
+
+  const end = new Date(now);
+  end.setHours(config.resetHour, 0, 0, 0);
+  if (end.getTime() <= now) {
+    end.setDate(end.getDate() + 1);
+  }
+  return end.getTime();
+}
+
+/**
+ * Summarize the current session
+ * @param {Array} games Recorded games (oldest first)
+ * @param {object} lpHistory LP history per queue
+ * @param {object} config Session config
+ * @param {number} now Current time
+ * @returns {{ start: number, games: number, wins: number, losses: number, streak: number, netLp: number|null }}
+ *   streak is positive for a win streak and negative for a loss streak; netLp is null without ranked games
+ */
+function getSessionSummary(games, lpHistory, config, now = Date.now()) {
+  const start = getSessionStart(games, config, now);
+  const sessionGames = games.filter(game => game.startedAt >= start);
+
+  const wins = sessionGames.filter(game => game.win).length;
+  const losses = sessionGames.length - wins;
+
+  let streak = 0;
+  for (let i = sessionGames.length - 1; i >= 0; i--) {
+    const win = sessionGames[i].win;
+    if (streak !== 0 && win !== (streak > 0)) break;
+    streak += win ? 1 : -1;
+  }
+
+  let netLp = null;
+  Object.values(lpHistory || {}).forEach(history => {
+    history
+      .filter(record => record.timestamp >= start && record.games > 0 && record.lpChange !== null)
+      .forEach(record => {
+        netLp = (netLp || 0) + record.lpChange;
+      });
+  });
+
+  return { start, games: sessionGames.length, wins, losses, streak, netLp };
+}
+
+/**
+ * Format a timestamp as local HH:MM
+ */
+function formatTime(timestamp) {
+  const date = new Date(timestamp);
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+/**
+ * Creates the session key canvas
+ * @param {object} config - Configuration object
+ * @returns {Promise<Canvas>} - Canvas object
+ */
+async function createSessionCanvas(config) {
+  const {
+    width = 360,
+    height = 60,
+    summary,
+    backgroundColor = '#0A1428'
+  } = config;
+
+  try {
+    const canvas = new Canvas(width, height);
+    const ctx = canvas.getContext('2d');
+    const padding = 8;
+
+    canvasUtils.drawKeyBackground(ctx, width, height, backgroundColor);
+
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+
+    if (summary.games === 0) {
+      ctx.fillStyle = '#C89B3C';
+      ctx.font = 'bold 18px Arial';
+      ctx.fillText('Session', padding, padding);
+
+      ctx.fillStyle = '#A09B8C';
+      ctx.font = '11px Arial';
+      ctx.fillText('No games yet this session', padding, padding + 24);
+      return canvas;
+    }
+
+    // Win/loss record (top left)
+    ctx.font = 'bold 18px Arial';
+    ctx.fillStyle = '#0AC8B9';
+    ctx.fillText(`${summary.wins}W`, padding, padding);
+    const winsWidth = ctx.measureText(`${summary.wins}W `).width;
+    ctx.fillStyle = '#E84057';
+    ctx.fillText(`${summary.losses}L`, padding + winsWidth, padding);
+
+    // Games, win rate and streak (bottom left)
+    const winRate = Math.round((summary.wins / summary.games) * 100);
+    const parts = [`${summary.games} ${summary.games === 1 ? 'game' : 'games'}`, `${winRate}% WR`];
+    if (Math.abs(summary.streak) >= 2) {
+      parts.push(`${Math.abs(summary.streak)} ${summary.streak > 0 ? 'win' : 'loss'} streak`);
+    }
+    ctx.textBaseline = 'bottom';
+    ctx.fillStyle = '#A09B8C';
+    ctx.font = '11px Arial';
+    ctx.fillText(parts.join(' · '), padding, height - padding);
+
+    // Net LP (top right)
+    ctx.textAlign = 'right';
+    if (summary.netLp !== null) {
+      ctx.textBaseline = 'top';
+      ctx.fillStyle = summary.netLp >= 0 ? '#0AC8B9' : '#E84057';
+      ctx.font = 'bold 18px Arial';
+      ctx.fillText(`${summary.netLp >= 0 ? '+' : ''}${summary.netLp} LP`, width - padding, padding);
+    }
+
+    // Session start (bottom right)
+    ctx.textBaseline = 'bottom';
+    ctx.fillStyle = '#A09B8C';
+    ctx.font = '10px Arial';
+    ctx.fillText(`since ${formatTime(summary.start)}`, width - padding, height - padding);
+
+    return canvas;
+  } catch (error) {
+    logger.error('Failed to create session canvas:', error);
+    return canvasUtils.createFallbackCanvas(width, height, 'Session');
+  }
+}
+
+/**
+ * Render a session key from the recorded games
+ */
+async function renderSessionKey(serialNumber, keyManager, key) {
+  const summary = getSessionSummary(
+    keyManager.getSessionGames ? keyManager.getSessionGames() : [],
+    keyManager.getAllLpHistory ? keyManager.getAllLpHistory() : {},
+    getSessionConfig(key)
+  );
+
+  const canvas = await createSessionCanvas({
+    width: key.width || 360,
+    height: key.height || 60,
+    summary,
+    backgroundColor: key.style?.backgroundColor || '#0A1428'
+  });
+  const buttonDataUrl = await canvasUtils.canvasToDataURL(canvas);
+
+  if (buttonDataUrl) {
+    const safeKey = {
+      uid: key.uid,
+      width: key.width,
+      style: {
+        ...(key.style || {}),
+        showImage: true,
+        showTitle: false,
+        showIcon: false,
+        showEmoji: false
+      }
+    };
+    keyManager.simpleDraw(serialNumber, safeKey, buttonDataUrl);
+  }
+}
+
+/**
+ * Re-render every active session key
+ */
+async function updateSessionKeys(keyManager) {
+  for (const keyId of Object.keys(keyManager.activeKeys)) {
+    const [serialNumber, keyUid] = keyId.split('-');
+    const key = keyManager.keyData[keyUid];
+
+    if (key && key.cid === SESSION_CID) {
+      try {
+        await renderSessionKey(serialNumber, keyManager, key);
+      } catch (error) {
+        logger.error(`Failed to update session key ${keyId}:`, error);
+      }
+    }
+  }
+
+  scheduleSessionBoundary(keyManager);
+}
+
+/**
+ * Redraw the session keys at the next session boundary of any active session key
+ */
+function scheduleSessionBoundary(keyManager) {
+  stopSessionTimer();
+
+  const games = keyManager.getSessionGames ? keyManager.getSessionGames() : [];
+  const now = Date.now();
+  let nextEnd = null;
+
+  for (const keyId of Object.keys(keyManager.activeKeys)) {
+    const key = keyManager.keyData[keyId.split('-')[1]];
+    if (key && key.cid === SESSION_CID) {
+      const end = getSessionEnd(games, getSessionConfig(key), now);
+      if (end !== null && (nextEnd === null || end < nextEnd)) {
+        nextEnd = end;
+      }
+    }
+  }
+
+  if (nextEnd === null) {
+    return;
+  }
+
+  boundaryTimer = setTimeout(() => {
+    boundaryTimer = null;
+
+    // Leave the keys to the offline state when the client has gone away
+    if (!client.isAvailable()) {
+      return;
+    }
+
+    updateSessionKeys(keyManager).catch(error => {
+      logger.debug('Session boundary update failed:', error.message);
+    });
+  }, Math.min(nextEnd - now, MAX_BOUNDARY_DELAY));
+}
+
+/**
+ * Stop the session boundary timer
+ */
+function stopSessionTimer() {
+  if (boundaryTimer) {
+    clearTimeout(boundaryTimer);
+    boundaryTimer = null;
+  }
+}
+
+/**
+ * Record the game that just ended from the end of game stats
+ */
+async function recordFinishedGame(keyManager) {
+  try {
+    const stats = await client.get(EOG_STATS_ENDPOINT);
+    if (!stats || !stats.gameId || !stats.localPlayer) {
+      return false;
+    }
+
+    // Remakes count as neither a win nor a loss
+    if (stats.gameEndedInEarlySurrender) {
+      logger.info(`Game ${stats.gameId} was remade, not counting it in the session`);
+      return false;
+    }
+
+    const endedAt = Date.now();
+    const added = keyManager.addSessionGame({
+      gameId: stats.gameId,
+      queueType: stats.queueType || '',
+      win: isEndOfGameWin(stats),
+      startedAt: endedAt - (stats.gameLength || 0) * 1000,
+      endedAt
+    });
+
+    if (added) {
+      logger.info(`Session: recorded ${isEndOfGameWin(stats) ? 'win' : 'loss'} in game ${stats.gameId}`);
+    }
+    return added;
+  } catch (error) {
+    logger.debug('End of game stats not available for the session:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Initialize a session key
+ * @param {string} serialNumber Device serial number
+ * @param {object} keyManager Key manager instance
+ * @param {object} key Key data
+ */
+async function initializeSessionKey(serialNumber, keyManager, key) {
+  const keyUid = key.uid;
+  const keyId = `${serialNumber}-${keyUid}`;
+
+  try {
+    await initializeClient();
+
+    // Check if client is available for API calls
+    if (!client.isAvailable()) {
+      logger.info(`League client not available for session key ${keyId}, showing offline state`);
+      const safeKey = {
+        uid: keyUid,
+        width: key.width,
+        title: 'League Offline',
+        style: {
+          ...(key.style || {}),
+          showImage: false,
+          showTitle: true,
+          backgroundColor: '#8B0000' // Dark red background
+        }
+      };
+      keyManager.simpleTextDraw(serialNumber, safeKey);
+      return;
+    }
+
+    // Store key data
+    keyManager.keyData[keyUid] = key;
+    keyManager.activeKeys[keyId] = true;
+
+    await renderSessionKey(serialNumber, keyManager, key);
+    scheduleSessionBoundary(keyManager);
+
+  } catch (error) {
+    logger.error('Error initializing session key:', error);
+
+    const safeKey = {
+      uid: keyUid,
+      title: 'Session Unavailable',
+      style: {
+        showImage: false,
+        showTitle: true
+      }
+    };
+    keyManager.simpleTextDraw(serialNumber, safeKey);
+  }
+}
+
+/**
+ * Handle gameflow phase changes - record the game once it has ended
+ * @param {object} keyManager Key manager instance
+ * @param {string} phase Gameflow phase
+ */
+async function handleSessionPhaseUpdate(keyManager, phase) {
+  if (phase !== 'EndOfGame') {
+    return;
+  }
+
+  if (await recordFinishedGame(keyManager)) {
+    await updateSessionKeys(keyManager);
+  }
+}
+
+/**
+ * Handle ranked stats updates - the LP history they were recorded into feeds net LP
+ * @param {object} keyManager Key manager instance
+ */
+async function handleSessionRankedUpdate(keyManager) {
+  await updateSessionKeys(keyManager);
+}
+
+module.exports = {
+  initializeSessionKey,
+  handleSessionPhaseUpdate,
+  handleSessionRankedUpdate,
+  stopSessionTimer
+};
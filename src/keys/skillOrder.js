@@ -0,0 +1,90 @@
+/**
+ * Skill Order
+ * Derives ability ranks, unspent skill points and the suggested next ability
+ * from the Live Client active player
+ */
+
+const ABILITIES = ['Q', 'W', 'E', 'R'];
+const BASIC_ABILITIES = ['Q', 'W', 'E'];
+
+// Max the ultimate first, then Q, W, E
+const DEFAULT_SKILL_PRIORITY = 'RQWE';
+
+/**
+ * Parse a skill order string ("QWEQQRQ...") into ability letters
+ */
+function parseAbilities(value) {
+  return String(value || '').toUpperCase().split('').filter(letter => ABILITIES.includes(letter));
+}
+
+/**
+ * Highest rank an ability can have at a champion level
+ */
+function getMaxRank(ability, level) {
+  if (ability === 'R') {
+    return level >= 16 ? 3 : level >= 11 ? 2 : level >= 6 ? 1 : 0;
+  }
+  return Math.min(5, Math.ceil(level / 2));
+}
+
+/**
+ * Pick the ability to level next
+ * A full skill order is followed while it stays valid; otherwise every basic ability
+ * is unlocked once, then abilities are maxed in priority order
+ */
+function suggestAbility(ranks, level, skillOrder, skillPriority) {
+  const canLevel = (ability) => ranks[ability] < getMaxRank(ability, level);
+
+  const pointsSpent = ABILITIES.reduce((sum, ability) => sum + ranks[ability], 0);
+  const planned = skillOrder[pointsSpent];
+  if (planned && canLevel(planned)) {
+    return planned;
+  }
+
+  const priority = [...new Set([...skillPriority, ...ABILITIES])];
+  if (canLevel('R') && priority.indexOf('R') === 0) {
+    return 'R';
+  }
+
+  const locked = priority.find(ability => BASIC_ABILITIES.includes(ability) && ranks[ability] === 0 && canLevel(ability));
+  return locked || priority.find(canLevel) || null;
+}
+
+/**
+ * Get the skill state for the local champion
+ * @param {object} activePlayer Live Client activeplayer data
+ * @param {object} [options] { skillOrder: "QWEQQRQ...", skillPriority: "RQWE" }
+ * @returns {{ level: number, ranks: object, maxRanks: object, points: number, suggestion: string|null }|null}
+ */
+function getSkillState(activePlayer, options = {}) {
+  if (!activePlayer || !activePlayer.abilities) {
+    return null;
+  }
+
+  const level = activePlayer.level || 1;
+  const ranks = {};
+  ABILITIES.forEach(ability => {
+    ranks[ability] = (activePlayer.abilities[ability] && activePlayer.abilities[ability].abilityLevel) || 0;
+  });
+
+  const maxRanks = { Q: 5, W: 5, E: 5, R: 3 };
+  const points = Math.max(0, level - ABILITIES.reduce((sum, ability) => sum + ranks[ability], 0));
+
+  const skillPriority = parseAbilities(options.skillPriority);
+  const suggestion = points > 0
+    ? suggestAbility(
+      ranks,
+      level,
+      parseAbilities(options.skillOrder),
+      skillPriority.length > 0 ? skillPriority : parseAbilities(DEFAULT_SKILL_PRIORITY)
+    )
+    : null;
+
+  return { level, ranks, maxRanks, points, suggestion };
+}
+
+module.exports = {
+  ABILITIES,
+  DEFAULT_SKILL_PRIORITY,
+  getSkillState
+};
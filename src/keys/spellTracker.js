@@ -0,0 +1,171 @@
+/**
+ * Summoner Spell Tracker
+ * Tracks enemy summoner spell cooldowns started from the Spell Tracker key
+ *
+ * Cooldowns are stored as the game time the spell comes back up, so they keep
+ * counting correctly between snapshots and while the game is paused.
+ */
+
+const logger = require('../utils/logger');
+const gameData = require('../gameData');
+const { getTeamForName } = require('./objectiveTimers');
+
+// Live Client summonerSpells slots, in display order
+const SPELL_SLOTS = ['summonerSpellOne', 'summonerSpellTwo'];
+
+// Used when game data is unavailable (seconds)
+const FALLBACK_COOLDOWNS = {
+  SummonerFlash: 300,
+  SummonerDot: 180,
+  SummonerTeleport: 360,
+  SummonerHeal: 240,
+  SummonerBarrier: 180,
+  SummonerExhaust: 240,
+  SummonerBoost: 240,
+  SummonerHaste: 240,
+  SummonerMana: 240,
+  SummonerSnowball: 80
+};
+
+// Smite's listed cooldown is the lockout between charges; track the charge recharge instead
+const COOLDOWN_OVERRIDES = {
+  SummonerSmite: 90
+};
+
+// Summoner spell haste visible on enemies: item id -> haste (Ionian Boots of Lucidity)
+const SUMMONER_HASTE_ITEMS = {
+  3158: 10
+};
+
+// "<player>:<slot>" -> game time the spell is back up
+const cooldowns = new Map();
+
+/**
+ * Get the Summoner<Key> from a Live Client spell entry
+ */
+function getSpellKey(spell) {
+  const match = String(spell?.rawDisplayName || '').match(/SummonerSpell_(\w+?)_DisplayName/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Get the enemy team's players (up to five), in scoreboard order
+ */
+function getEnemies(snapshot) {
+  const activePlayer = snapshot?.activePlayer;
+  const allPlayers = snapshot?.allPlayers || [];
+  const localTeam = activePlayer
+    ? getTeamForName(allPlayers, activePlayer.riotId) || getTeamForName(allPlayers, activePlayer.summonerName)
+    : null;
+
+  if (!localTeam) {
+    return [];
+  }
+  return allPlayers.filter(player => player.team && player.team !== localTeam).slice(0, 5);
+}
+
+/**
+ * Cooldown id for a player's spell slot
+ */
+function getCooldownId(player, slot) {
+  return `${player.riotId || player.summonerName}:${slot}`;
+}
+
+/**
+ * Summoner spell haste from a player's visible items
+ */
+function getSummonerHaste(player) {
+  return (player.items || []).reduce((haste, item) => haste + (SUMMONER_HASTE_ITEMS[item.itemID] || 0), 0);
+}
+
+/**
+ * Cooldown in seconds for a player's spell, after summoner spell haste
+ */
+async function getSpellCooldown(player, spell) {
+  const key = getSpellKey(spell);
+  let cooldown = COOLDOWN_OVERRIDES[key] || null;
+
+  if (!cooldown) {
+    try {
+      const data = await gameData.getSummonerSpell(spell.rawDisplayName);
+      cooldown = data ? data.cooldown : null;
+    } catch (error) {
+      logger.debug(`Failed to look up summoner spell ${key}:`, error.message);
+    }
+  }
+
+  const base = cooldown || FALLBACK_COOLDOWNS[key] || 300;
+  return base * 100 / (100 + getSummonerHaste(player));
+}
+
+/**
+ * Start a spell's cooldown, or clear it if it is already running (to undo a mistaken press)
+ * @param {object} snapshot allgamedata snapshot
+ * @param {number} gameTime Current game time in seconds
+ * @param {number} enemyIndex Enemy column (0-4)
+ * @param {number} slotIndex Spell slot (0 or 1)
+ * @returns {Promise<boolean>} Whether anything changed
+ */
+async function toggleSpellCooldown(snapshot, gameTime, enemyIndex, slotIndex) {
+  const player = getEnemies(snapshot)[enemyIndex];
+  const slot = SPELL_SLOTS[slotIndex];
+  if (!player || !slot || !player.summonerSpells || !player.summonerSpells[slot]) {
+    return false;
+  }
+
+  const id = getCooldownId(player, slot);
+  if ((cooldowns.get(id) || 0) > gameTime) {
+    cooldowns.delete(id);
+    logger.info(`Cleared ${player.championName} ${player.summonerSpells[slot].displayName} cooldown`);
+    return true;
+  }
+
+  const cooldown = await getSpellCooldown(player, player.summonerSpells[slot]);
+  cooldowns.set(id, gameTime + cooldown);
+  logger.info(`Tracking ${player.championName} ${player.summonerSpells[slot].displayName} (${Math.round(cooldown)}s)`);
+  return true;
+}
+
+/**
+ * Get the enemy spells and their remaining cooldowns
+ * @returns {Array<{ championName: string, player: object, spells: Array<{ name: string, rawDisplayName: string, remaining: number }> }>}
+ */
+function getSpellTrackerState(snapshot, gameTime) {
+  return getEnemies(snapshot).map(player => ({
+    championName: player.championName,
+    player,
+    spells: SPELL_SLOTS.map(slot => {
+      const spell = (player.summonerSpells && player.summonerSpells[slot]) || {};
+      return {
+        name: spell.displayName || '',
+        rawDisplayName: spell.rawDisplayName || '',
+        remaining: Math.max(0, (cooldowns.get(getCooldownId(player, slot)) || 0) - gameTime)
+      };
+    })
+  }));
+}
+
+/**
+ * Check if any tracked cooldown is still running
+ */
+function hasActiveCooldowns(gameTime) {
+  for (const endsAt of cooldowns.values()) {
+    if (endsAt > gameTime) return true;
+  }
+  return false;
+}
+
+/**
+ * Forget all tracked cooldowns (game ended)
+ */
+function resetSpellCooldowns() {
+  cooldowns.clear();
+}
+
+module.exports = {
+  SPELL_SLOTS,
+  toggleSpellCooldown,
+  getSpellTrackerState,
+  hasActiveCooldowns,
+  resetSpellCooldowns
+};
@@ -7,6 +7,9 @@
 
 const logger = require('./utils/logger');
 
+// Live Client Data API base URL (overridable for the mock League Client)
+const LIVE_CLIENT_URL = process.env.LOL_LIVE_CLIENT_URL || 'https://127.0.0.1:2999';
+
 // Global reference to the LoLDataService instance
 let lolDataService = null;
 
@@ -49,62 +52,92 @@ const client = {
   },
 
   /**
-   * Get Data Dragon resource (legacy compatibility)
+   * Get Data Dragon resource from the on-disk asset cache
    */
   async getCachedDataDragonResource(resourcePath) {
-    const axios = require('axios');
-    const path = require('path');
-    const fs = require('fs');
+    if (!lolDataService) {
+      throw new Error('LoL Data Service not available');
+    }
     
     try {
-      // Get the current version from the LoL Data Service
-      const version = lolDataService?.version || '15.10.1';
-      
-      // Construct full Data Dragon URL
-      const fullUrl = resourcePath.includes('ddragon.leagueoflegends.com') 
-        ? resourcePath 
-        : `https://ddragon.leagueoflegends.com/cdn/${version}/${resourcePath}`;
-      
-      logger.debug(`Fetching Data Dragon resource: ${fullUrl}`);
-      
-      // Fetch the resource
-      const response = await axios.get(fullUrl, {
-        responseType: 'arraybuffer',
-        timeout: 10000
-      });
-      
-      if (!response.data || response.data.length === 0) {
-        throw new Error('Empty response received from Data Dragon');
-      }
-      
-      const buffer = Buffer.from(response.data);
-      logger.debug(`Successfully fetched Data Dragon resource: ${resourcePath}, size: ${buffer.length} bytes`);
-      
-      return buffer;
-      
+      return await lolDataService.dataDragon.getResource(resourcePath, lolDataService.version);
     } catch (error) {
       logger.error(`Failed to fetch Data Dragon resource ${resourcePath}:`, error.message);
       throw error;
     }
   },
 
+  /**
+   * Get the Data Dragon version assets are loaded for
+   */
+  getDataDragonVersion() {
+    return lolDataService?.version || null;
+  },
+
   /**
    * Make a direct request to an endpoint
    */
   async request(endpoint) {
+    if (lolDataService?.isReplaying) {
+      return lolDataService.getReplayResponse(endpoint);
+    }
+    
     if (!lolDataService || !lolDataService.axios) {
       throw new Error('League client not available');
     }
     
     try {
       const response = await lolDataService.axios.get(endpoint);
+      lolDataService.recordResponse({ source: 'lcu', endpoint, data: response.data });
       return response.data;
     } catch (error) {
+      lolDataService.recordResponse({ source: 'lcu', endpoint, error: error.message });
       logger.error(`Legacy client request failed for ${endpoint}:`, error.message);
       throw error;
     }
   },
 
+  /**
+   * POST request to the League client (e.g. accepting a ready check)
+   */
+  async post(endpoint, body) {
+    if (!lolDataService) {
+      throw new Error('League client not available');
+    }
+    
+    return lolDataService.post(endpoint, body);
+  },
+
+  /**
+   * DELETE request to the League client (e.g. cancelling matchmaking)
+   */
+  async delete(endpoint) {
+    if (!lolDataService) {
+      throw new Error('League client not available');
+    }
+    
+    return lolDataService.delete(endpoint);
+  },
+
+  /**
+   * Fetch a raw asset (e.g. an icon under /lol-game-data/assets) from the League client
+   */
+  async requestAsset(endpoint) {
+    if (!lolDataService || !lolDataService.axios || lolDataService.isReplaying) {
+      throw new Error('League client not available');
+    }
+    
+    const response = await lolDataService.axios.get(endpoint, { responseType: 'arraybuffer' });
+    return Buffer.from(response.data);
+  },
+
+  /**
+   * Whether data is coming from a replayed session rather than a live client
+   */
+  isReplaying() {
+    return !!lolDataService?.isReplaying;
+  },
+
   /**
    * GET request (legacy compatibility)
    */
@@ -120,13 +153,20 @@ const client = {
     const axios = require('axios');
     const https = require('https');
     
+    if (lolDataService?.isReplaying) {
+      return lolDataService.getReplayResponse(endpoint);
+    }
+    
     try {
-      const response = await axios.get(`https://127.0.0.1:2999${endpoint}`, {
+      const response = await axios.get(`${LIVE_CLIENT_URL}${endpoint}`, {
         httpsAgent: new https.Agent({ rejectUnauthorized: false }),
         timeout: 2000
       });
+      lolDataService?.recordLiveClientResponse(endpoint, response.data);
       return response.data;
     } catch (error) {
+      lolDataService?.recordLiveClientResponse(endpoint, null, error);
+      
       // Only log as debug for expected errors (API not available when not in game)
       if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
         logger.debug(`Live Client Data API not available: ${error.message}`);
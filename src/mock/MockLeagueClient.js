@@ -0,0 +1,611 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const logger = require('../utils/logger');
+
+// WAMP 1.0 message type ids used by the League client WebSocket
+const WAMP_WELCOME = 0;
+const WAMP_SUBSCRIBE = 5;
+const WAMP_UNSUBSCRIBE = 6;
+const WAMP_EVENT = 8;
+
+/**
+ * Mock League Client - Fake LCU and Live Client Data servers for offline development
+ *
+ * Serves JSON fixtures over HTTPS with a self-signed certificate:
+ * - LCU API on a lockfile port with basic auth (riot:<password>) and WAMP WebSocket events
+ * - Live Client Data API on port 2999 without auth, only while gameflow is InProgress
+ *
+ * Events:
+ * - 'started': { port: number, liveClientPort: number, lockfilePath: string }
+ * - 'stopped': {}
+ * - 'phaseChanged': { phase: string, previous: string }
+ * - 'request': { method: string, endpoint: string, status: number }
+ */
+class MockLeagueClient extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      port: 0, // 0 = pick a free port, like the real client does
+      liveClientPort: 2999,
+      host: '127.0.0.1',
+      password: crypto.randomBytes(16).toString('base64url'),
+      lockfilePath: path.join(process.cwd(), 'mock-lockfile'),
+      fixturesDir: path.join(__dirname, 'fixtures'),
+      gameTickInterval: 1000,
+      ...options
+    };
+
+    // Fixture state
+    this.lcuData = new Map(); // endpoint -> data
+    this.liveGameData = null; // /liveclientdata/allgamedata payload
+    this.routes = new Map(); // 'METHOD /endpoint' -> handler(request, body)
+
+    // Servers
+    this.credentials = null;
+    this.lcuServer = null;
+    this.liveClientServer = null;
+    this.webSocketServer = null;
+    this.subscriptions = new Map(); // socket -> Set<eventName>
+    this.port = null;
+
+    // Timers
+    this.scenarioTimers = [];
+    this.gameTickTimer = null;
+
+    this.handleLcuRequest = this.handleLcuRequest.bind(this);
+    this.handleLiveClientRequest = this.handleLiveClientRequest.bind(this);
+
+    this.registerDefaultRoutes();
+  }
+
+  /**
+   * Load fixtures, start the fake LCU server and write the lockfile
+   */
+  async start() {
+    if (this.lcuServer) {
+      logger.warn('Mock League Client already running');
+      return;
+    }
+
+    this.loadFixtures();
+    this.credentials = await this.generateCredentials();
+
+    this.lcuServer = https.createServer(this.credentials, this.handleLcuRequest);
+    this.webSocketServer = new WebSocket.Server({
+      server: this.lcuServer,
+      handleProtocols: (protocols) => protocols.has('wamp') ? 'wamp' : false,
+      verifyClient: (info) => this.isAuthorized(info.req)
+    });
+    this.webSocketServer.on('connection', (socket) => this.handleWebSocketConnection(socket));
+
+    await this.listen(this.lcuServer, this.options.port);
+    this.port = this.lcuServer.address().port;
+
+    await this.writeLockfile();
+    await this.syncLiveClientServer();
+
+    logger.info(`Mock League Client listening on https://${this.options.host}:${this.port}`);
+
+    this.emit('started', {
+      port: this.port,
+      liveClientPort: this.options.liveClientPort,
+      lockfilePath: this.options.lockfilePath
+    });
+  }
+
+  /**
+   * Stop all servers and timers and remove the lockfile
+   */
+  async stop() {
+    this.stopScenario();
+    this.stopGameTick();
+
+    await this.stopLiveClientServer();
+
+    if (this.webSocketServer) {
+      this.webSocketServer.clients.forEach(socket => socket.terminate());
+      this.webSocketServer.close();
+      this.webSocketServer = null;
+    }
+    this.subscriptions.clear();
+
+    if (this.lcuServer) {
+      await new Promise(resolve => this.lcuServer.close(resolve));
+      this.lcuServer = null;
+    }
+
+    try {
+      await fs.promises.unlink(this.options.lockfilePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Failed to remove mock lockfile: ${error.message}`);
+      }
+    }
+
+    this.port = null;
+    logger.info('Mock League Client stopped');
+    this.emit('stopped', {});
+  }
+
+  /**
+   * Load LCU and Live Client fixtures from disk
+   */
+  loadFixtures() {
+    const lcuFixtures = this.readFixture('lcu.json');
+    this.lcuData = new Map(Object.entries(lcuFixtures));
+    this.liveGameData = this.readFixture('liveclient.json');
+
+    logger.debug(`Loaded ${this.lcuData.size} LCU fixtures from ${this.options.fixturesDir}`);
+  }
+
+  /**
+   * Read and parse a fixture file
+   */
+  readFixture(filename) {
+    const fixturePath = path.join(this.options.fixturesDir, filename);
+    return JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  }
+
+  /**
+   * Generate a self-signed certificate for 127.0.0.1
+   */
+  async generateCredentials() {
+    // Dev-only dependency, so only load it when the mock actually starts
+    const selfsigned = require('selfsigned');
+
+    const pems = await selfsigned.generate([{ name: 'commonName', value: this.options.host }], {
+      keySize: 2048,
+      algorithm: 'sha256',
+      extensions: [{ name: 'subjectAltName', altNames: [{ type: 7, ip: this.options.host }] }]
+    });
+
+    return { key: pems.private, cert: pems.cert };
+  }
+
+  /**
+   * Start listening and resolve once the port is bound
+   */
+  listen(server, port) {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, this.options.host, () => {
+        server.removeListener('error', reject);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Write a lockfile in the LeagueClient format: name:pid:port:password:protocol
+   */
+  async writeLockfile() {
+    const contents = `LeagueClient:${process.pid}:${this.port}:${this.options.password}:https`;
+
+    await fs.promises.mkdir(path.dirname(this.options.lockfilePath), { recursive: true });
+    await fs.promises.writeFile(this.options.lockfilePath, contents, 'utf8');
+
+    logger.debug(`Wrote mock lockfile to ${this.options.lockfilePath}`);
+  }
+
+  /**
+   * Check the riot basic auth header
+   */
+  isAuthorized(request) {
+    const expected = `Basic ${Buffer.from(`riot:${this.options.password}`).toString('base64')}`;
+    return request.headers.authorization === expected;
+  }
+
+  // --- Fixture access ---
+
+  /**
+   * Get the current fixture data for an LCU endpoint
+   */
+  getData(endpoint) {
+    return this.lcuData.has(endpoint) ? this.lcuData.get(endpoint) : null;
+  }
+
+  /**
+   * Replace the data for an LCU endpoint and publish a WebSocket event
+   */
+  setData(endpoint, data) {
+    const existed = this.lcuData.get(endpoint) !== undefined && this.lcuData.get(endpoint) !== null;
+
+    if (data === null || data === undefined) {
+      this.lcuData.set(endpoint, null);
+      this.publish(endpoint, null, 'Delete');
+    } else {
+      this.lcuData.set(endpoint, data);
+      this.publish(endpoint, data, existed ? 'Update' : 'Create');
+    }
+  }
+
+  /**
+   * Get the current gameflow phase
+   */
+  getPhase() {
+    return this.getData('/lol-gameflow/v1/gameflow-phase') || 'None';
+  }
+
+  /**
+   * Set the gameflow phase, starting or stopping the Live Client server as needed
+   */
+  async setPhase(phase) {
+    const previous = this.getPhase();
+    if (phase === previous) {
+      return;
+    }
+
+    this.setData('/lol-gameflow/v1/gameflow-phase', phase);
+    logger.info(`Mock gameflow phase: ${previous} -> ${phase}`);
+
+    await this.syncLiveClientServer();
+    this.emit('phaseChanged', { phase, previous });
+  }
+
+  /**
+   * Replace the Live Client allgamedata payload
+   */
+  setLiveGameData(data) {
+    this.liveGameData = data;
+  }
+
+  /**
+   * Register a custom handler for an LCU route, e.g. route('POST', '/lol-lobby/v2/lobby', fn)
+   * The handler receives the request and parsed body and returns { status, data }
+   */
+  route(method, endpoint, handler) {
+    this.routes.set(`${method.toUpperCase()} ${endpoint}`, handler);
+  }
+
+  /**
+   * Register handlers for the LCU actions the plugin can trigger
+   */
+  registerDefaultRoutes() {
+    const respondToReadyCheck = (playerResponse) => () => {
+      const readyCheck = this.getData('/lol-matchmaking/v1/ready-check');
+      if (!readyCheck || readyCheck.state !== 'InProgress') {
+        return { status: 404, data: { httpStatus: 404, message: 'No ready check in progress' } };
+      }
+      this.setData('/lol-matchmaking/v1/ready-check', { ...readyCheck, playerResponse });
+      return { status: 204, data: null };
+    };
+
+    this.route('POST', '/lol-matchmaking/v1/ready-check/accept', respondToReadyCheck('Accepted'));
+    this.route('POST', '/lol-matchmaking/v1/ready-check/decline', respondToReadyCheck('Declined'));
+
+    const setSearchState = (searchState) => {
+      const current = this.getData('/lol-lobby/v2/lobby/matchmaking/search-state') || { errors: [] };
+      this.setData('/lol-lobby/v2/lobby/matchmaking/search-state', { ...current, searchState });
+    };
+
+    this.route('POST', '/lol-lobby/v2/lobby/matchmaking/search', async () => {
+      const lobby = this.getData('/lol-lobby/v2/lobby');
+      if (!lobby || this.getPhase() !== 'Lobby') {
+        return { status: 400, data: { httpStatus: 400, message: 'Not in a lobby' } };
+      }
+      setSearchState('Searching');
+      this.setData('/lol-matchmaking/v1/search', {
+        errors: [],
+        estimatedQueueTime: 95.0,
+        isCurrentlyInQueue: true,
+        queueId: lobby.gameConfig.queueId,
+        searchState: 'Searching',
+        timeInQueue: 0.0
+      });
+      await this.setPhase('Matchmaking');
+      return { status: 204, data: null };
+    });
+
+    this.route('DELETE', '/lol-lobby/v2/lobby/matchmaking/search', async () => {
+      if (this.getPhase() !== 'Matchmaking') {
+        return { status: 400, data: { httpStatus: 400, message: 'Not searching' } };
+      }
+      setSearchState('Invalid');
+      this.setData('/lol-matchmaking/v1/search', null);
+      await this.setPhase('Lobby');
+      return { status: 204, data: null };
+    });
+  }
+
+  // --- LCU server ---
+
+  /**
+   * Handle an LCU HTTP request
+   */
+  async handleLcuRequest(request, response) {
+    const endpoint = request.url.split('?')[0];
+
+    if (!this.isAuthorized(request)) {
+      this.sendJson(response, 401, { httpStatus: 401, message: 'Unauthorized' });
+      this.emit('request', { method: request.method, endpoint, status: 401 });
+      return;
+    }
+
+    let result;
+    try {
+      const body = await this.readBody(request);
+      const handler = this.routes.get(`${request.method} ${endpoint}`);
+
+      if (handler) {
+        result = await handler(request, body);
+      } else if (request.method === 'GET') {
+        const data = this.getData(endpoint);
+        result = data === null
+          ? { status: 404, data: { httpStatus: 404, errorCode: 'RPC_ERROR', message: `No fixture for ${endpoint}` } }
+          : { status: 200, data };
+      } else {
+        result = { status: 405, data: { httpStatus: 405, message: `${request.method} not supported for ${endpoint}` } };
+      }
+    } catch (error) {
+      logger.error(`Mock handler failed for ${request.method} ${endpoint}:`, error.message);
+      result = { status: 500, data: { httpStatus: 500, message: error.message } };
+    }
+
+    this.sendJson(response, result.status, result.data);
+    this.emit('request', { method: request.method, endpoint, status: result.status });
+  }
+
+  /**
+   * Read and parse a JSON request body
+   */
+  readBody(request) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      request.on('data', chunk => chunks.push(chunk));
+      request.on('error', reject);
+      request.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        if (!raw) {
+          resolve(null);
+          return;
+        }
+        try {
+          resolve(JSON.parse(raw));
+        } catch (error) {
+          resolve(raw);
+        }
+      });
+    });
+  }
+
+  /**
+   * Send a JSON response (204 when there is no body)
+   */
+  sendJson(response, status, data) {
+    if (data === undefined || data === null) {
+      response.writeHead(status === 200 ? 204 : status);
+      response.end();
+      return;
+    }
+
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(data));
+  }
+
+  // --- WAMP WebSocket ---
+
+  /**
+   * Track subscriptions for a new WebSocket client
+   */
+  handleWebSocketConnection(socket) {
+    this.subscriptions.set(socket, new Set());
+    socket.send(JSON.stringify([WAMP_WELCOME, crypto.randomUUID(), 1, 'MockLeagueClient']));
+
+    socket.on('message', (message) => {
+      let payload;
+      try {
+        payload = JSON.parse(message.toString());
+      } catch (error) {
+        return;
+      }
+
+      const [type, eventName] = payload;
+      if (type === WAMP_SUBSCRIBE) {
+        this.subscriptions.get(socket)?.add(eventName);
+      } else if (type === WAMP_UNSUBSCRIBE) {
+        this.subscriptions.get(socket)?.delete(eventName);
+      }
+    });
+
+    socket.on('close', () => this.subscriptions.delete(socket));
+  }
+
+  /**
+   * Publish an OnJsonApiEvent to every subscribed WebSocket client
+   */
+  publish(endpoint, data, eventType = 'Update') {
+    const payload = { data, eventType, uri: endpoint };
+
+    this.subscriptions.forEach((events, socket) => {
+      const eventName = [...events].find(name =>
+        name === 'OnJsonApiEvent' || endpoint.replace(/\//g, '_').startsWith(name.replace('OnJsonApiEvent', ''))
+      );
+
+      if (eventName && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify([WAMP_EVENT, eventName, payload]));
+      }
+    });
+  }
+
+  // --- Live Client Data server ---
+
+  /**
+   * Run the Live Client server only while a game is in progress, like the real client
+   */
+  async syncLiveClientServer() {
+    if (this.getPhase() === 'InProgress') {
+      await this.startLiveClientServer();
+    } else {
+      await this.stopLiveClientServer();
+    }
+  }
+
+  /**
+   * Start the Live Client Data server and the game clock
+   */
+  async startLiveClientServer() {
+    if (this.liveClientServer) {
+      return;
+    }
+
+    this.liveClientServer = https.createServer(this.credentials, this.handleLiveClientRequest);
+    await this.listen(this.liveClientServer, this.options.liveClientPort);
+    this.startGameTick();
+
+    logger.info(`Mock Live Client Data API listening on https://${this.options.host}:${this.options.liveClientPort}`);
+  }
+
+  /**
+   * Stop the Live Client Data server and the game clock
+   */
+  async stopLiveClientServer() {
+    this.stopGameTick();
+
+    if (this.liveClientServer) {
+      const server = this.liveClientServer;
+      this.liveClientServer = null;
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      logger.info('Mock Live Client Data API stopped');
+    }
+  }
+
+  /**
+   * Handle a Live Client Data request (no auth)
+   */
+  handleLiveClientRequest(request, response) {
+    const url = new URL(request.url, `https://${this.options.host}`);
+    const data = this.resolveLiveClientEndpoint(url.pathname, url.searchParams);
+    const status = data === undefined ? 404 : 200;
+
+    this.sendJson(response, status, status === 404
+      ? { errorCode: 'RESOURCE_NOT_FOUND', httpStatus: 404, message: `No fixture for ${url.pathname}` }
+      : data);
+    this.emit('request', { method: request.method, endpoint: url.pathname, status });
+  }
+
+  /**
+   * Derive every Live Client endpoint from the single allgamedata fixture
+   */
+  resolveLiveClientEndpoint(endpoint, params) {
+    const game = this.liveGameData;
+    if (!game) {
+      return undefined;
+    }
+
+    const findPlayer = () => game.allPlayers.find(p => p.riotId === params.get('riotId'));
+
+    switch (endpoint) {
+      case '/liveclientdata/allgamedata':
+        return game;
+      case '/liveclientdata/activeplayer':
+        return game.activePlayer;
+      case '/liveclientdata/activeplayername':
+        return game.activePlayer.riotId;
+      case '/liveclientdata/activeplayerabilities':
+        return game.activePlayer.abilities;
+      case '/liveclientdata/activeplayerrunes':
+        return game.activePlayer.fullRunes;
+      case '/liveclientdata/playerlist':
+        return game.allPlayers;
+      case '/liveclientdata/playerscores':
+        return findPlayer()?.scores;
+      case '/liveclientdata/playersummonerspells':
+        return findPlayer()?.summonerSpells;
+      case '/liveclientdata/playermainrunes':
+        return findPlayer()?.runes;
+      case '/liveclientdata/playeritems':
+        return findPlayer()?.items;
+      case '/liveclientdata/eventdata':
+        return game.events;
+      case '/liveclientdata/gamestats':
+        return game.gameData;
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Advance the in-game clock while the game is running
+   */
+  startGameTick() {
+    if (this.gameTickTimer) {
+      return;
+    }
+
+    this.gameTickTimer = setInterval(() => {
+      if (this.liveGameData?.gameData) {
+        this.liveGameData.gameData.gameTime += this.options.gameTickInterval / 1000;
+      }
+    }, this.options.gameTickInterval);
+  }
+
+  /**
+   * Stop the in-game clock
+   */
+  stopGameTick() {
+    if (this.gameTickTimer) {
+      clearInterval(this.gameTickTimer);
+      this.gameTickTimer = null;
+    }
+  }
+
+  // --- Scenarios ---
+
+  /**
+   * Run a scripted scenario of timed steps
+   * Each step: { at: ms, phase?: string, lcu?: { endpoint: data }, liveGameData?: object }
+   */
+  runScenario(steps, { loop = false } = {}) {
+    this.stopScenario();
+
+    const duration = steps.reduce((max, step) => Math.max(max, step.at || 0), 0);
+
+    steps.forEach(step => {
+      const timer = setTimeout(async () => {
+        try {
+          await this.applyScenarioStep(step);
+        } catch (error) {
+          logger.error('Failed to apply mock scenario step:', error.message);
+        }
+      }, step.at || 0);
+      this.scenarioTimers.push(timer);
+    });
+
+    if (loop) {
+      this.scenarioTimers.push(setTimeout(() => this.runScenario(steps, { loop }), duration + 1000));
+    }
+
+    logger.info(`Running mock scenario with ${steps.length} steps${loop ? ' (looping)' : ''}`);
+  }
+
+  /**
+   * Apply a single scenario step
+   */
+  async applyScenarioStep(step) {
+    if (step.lcu) {
+      Object.entries(step.lcu).forEach(([endpoint, data]) => this.setData(endpoint, data));
+    }
+    if (step.liveGameData) {
+      this.setLiveGameData(step.liveGameData);
+    }
+    if (step.phase) {
+      await this.setPhase(step.phase);
+    }
+  }
+
+  /**
+   * Cancel any pending scenario steps
+   */
+  stopScenario() {
+    this.scenarioTimers.forEach(timer => clearTimeout(timer));
+    this.scenarioTimers = [];
+  }
+}
+
+module.exports = MockLeagueClient;
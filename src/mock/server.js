@@ -0,0 +1,71 @@
+const path = require('path');
+const logger = require('../utils/logger');
+const MockLeagueClient = require('./MockLeagueClient');
+
+/**
+ * Mock League Client CLI
+ *
+ * Usage: node src/mock/server.js [--port 0] [--live-port 2999] [--lockfile path]
+ *                                [--scenario path|none] [--loop]
+ *
+ * Point the plugin at it with LOL_LOCKFILE_PATH=<lockfile> so LoLDataService
+ * discovers the mock instead of a real LeagueClientUx.
+ */
+
+/**
+ * Parse --flag value pairs from the command line
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+
+    const name = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[name] = true;
+    } else {
+      args[name] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const mock = new MockLeagueClient({
+    port: Number(args.port || 0),
+    liveClientPort: Number(args['live-port'] || 2999),
+    lockfilePath: path.resolve(args.lockfile || 'mock-lockfile')
+  });
+
+  mock.on('request', ({ method, endpoint, status }) => {
+    logger.debug(`${method} ${endpoint} -> ${status}`);
+  });
+
+  await mock.start();
+
+  if (args.scenario !== 'none') {
+    const scenarioPath = args.scenario && args.scenario !== true
+      ? path.resolve(args.scenario)
+      : path.join(__dirname, 'fixtures', 'scenario.json');
+    const { steps } = require(scenarioPath);
+    mock.runScenario(steps, { loop: !!args.loop });
+  }
+
+  logger.info(`Start the plugin with LOL_LOCKFILE_PATH=${mock.options.lockfilePath}`);
+
+  const shutdown = async () => {
+    await mock.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch((error) => {
+  logger.error('Failed to start Mock League Client:', error);
+  process.exit(1);
+});
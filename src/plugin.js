@@ -18,8 +18,8 @@ async function initializePluginCore() {
   try {
     logger.info('=== League of Legends FlexDesigner Plugin Starting ===');
     
-    // Create and initialize plugin core
-    pluginCore = new PluginCore();
+    // Create and initialize plugin core (FlexDesigner's working directory isn't the plugin directory)
+    pluginCore = new PluginCore({ pluginPath });
     
     // Pass the plugin instance to PluginCore
     pluginCore.setPlugin(plugin);
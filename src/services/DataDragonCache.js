@@ -0,0 +1,375 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+const CDN_URL = 'https://ddragon.leagueoflegends.com';
+const METADATA_FILE = 'cache.json';
+const VERSION_PATTERN = /^\d+\.\d+\.\d+$/;
+
+// Data files downloaded for every new patch, with the image folder holding one icon per entry.
+// Profile icons number in the thousands, so only icons already used on earlier patches are carried over.
+const PREFETCH_BUNDLES = [
+  { data: 'data/en_US/champion.json', images: 'img/champion' },
+  { data: 'data/en_US/item.json', images: 'img/item' },
+  { data: 'data/en_US/summoner.json', images: 'img/spell' },
+  { data: 'data/en_US/profileicon.json', images: null }
+];
+
+/**
+ * Compare two Data Dragon versions (e.g. 15.10.1), newest first
+ */
+function compareVersionsDescending(a, b) {
+  const partsA = a.split('.').map(Number);
+  const partsB = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsB[i] || 0) - (partsA[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Data Dragon Cache - Persistent on-disk cache for Data Dragon assets
+ *
+ * Files are stored as <cacheDir>/<version>/<path>, mirroring the CDN layout, so
+ * a resource is only ever downloaded once per patch. When the CDN is unreachable
+ * the newest cached copy from any patch is served instead.
+ */
+class DataDragonCache {
+  constructor(options = {}) {
+    this.options = {
+      cacheDir: path.join(process.cwd(), 'ddragon-cache'),
+      timeout: 10000,
+      prefetchConcurrency: 4,
+      keepVersions: 2,
+      ...options
+    };
+
+    // { latestVersion, prefetchedVersions }
+    this.metadata = null;
+
+    // cacheKey -> Promise<Buffer>, so concurrent renders share one download
+    this.pending = new Map();
+    this.prefetchPromise = null;
+  }
+
+  /**
+   * Resolve the latest Data Dragon version
+   * Falls back to the last known version, then to getFallbackVersion(), when the CDN is unreachable
+   */
+  async getLatestVersion(getFallbackVersion = null) {
+    const metadata = await this.loadMetadata();
+
+    try {
+      const response = await axios.get(`${CDN_URL}/api/versions.json`, { timeout: 5000 });
+      const version = response.data[0];
+
+      if (metadata.latestVersion !== version) {
+        logger.info(`New Data Dragon version detected: ${metadata.latestVersion || 'none'} -> ${version}`);
+        metadata.latestVersion = version;
+        await this.saveMetadata();
+      }
+
+      if (!metadata.prefetchedVersions.includes(version)) {
+        this.prefetch(version).catch(error => {
+          logger.warn(`Data Dragon prefetch for ${version} failed: ${error.message}`);
+        });
+      }
+
+      return version;
+    } catch (error) {
+      const version = metadata.latestVersion
+        || (await this.listCachedVersions())[0]
+        || (getFallbackVersion ? await getFallbackVersion() : null);
+
+      logger.warn(`Data Dragon unreachable (${error.message}), using version ${version || 'unknown'}`);
+      return version || null;
+    }
+  }
+
+  /**
+   * Get a Data Dragon resource, from disk when cached
+   * @param {string} resourcePath Path relative to the versioned CDN root, or a full ddragon URL
+   * @param {string} [version] Data Dragon version (defaults to the latest known)
+   * @returns {Promise<Buffer>}
+   */
+  async getResource(resourcePath, version = null) {
+    if (!version) {
+      const metadata = await this.loadMetadata();
+      version = metadata.latestVersion || (await this.listCachedVersions())[0];
+    }
+
+    const { cacheKey, url } = this.resolveResource(resourcePath, version);
+
+    if (this.pending.has(cacheKey)) {
+      return this.pending.get(cacheKey);
+    }
+
+    const promise = this.readOrDownload(cacheKey, url, resourcePath)
+      .finally(() => this.pending.delete(cacheKey));
+    this.pending.set(cacheKey, promise);
+    return promise;
+  }
+
+  /**
+   * Map a resource to its cache key (path below cacheDir) and CDN URL
+   */
+  resolveResource(resourcePath, version) {
+    let cacheKey;
+    let url;
+
+    if (resourcePath.includes('ddragon.leagueoflegends.com')) {
+      url = resourcePath;
+      cacheKey = new URL(resourcePath).pathname.replace(/^\/(cdn\/)?/, '');
+    } else {
+      if (!version) {
+        throw new Error(`No Data Dragon version available for ${resourcePath}`);
+      }
+      cacheKey = `${version}/${resourcePath.replace(/^\//, '')}`;
+      url = `${CDN_URL}/cdn/${cacheKey}`;
+    }
+
+    const normalized = path.posix.normalize(cacheKey);
+    if (normalized.startsWith('..') || path.posix.isAbsolute(normalized)) {
+      throw new Error(`Invalid Data Dragon resource path: ${resourcePath}`);
+    }
+
+    return { cacheKey: normalized, url };
+  }
+
+  /**
+   * Read a resource from disk, downloading it on a cache miss
+   */
+  async readOrDownload(cacheKey, url, resourcePath) {
+    const filePath = path.join(this.options.cacheDir, cacheKey);
+
+    try {
+      return await fs.promises.readFile(filePath);
+    } catch (error) {
+      // Not cached yet
+    }
+
+    try {
+      logger.debug(`Fetching Data Dragon resource: ${url}`);
+      const response = await axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: this.options.timeout
+      });
+
+      if (!response.data || response.data.length === 0) {
+        throw new Error('Empty response received from Data Dragon');
+      }
+
+      const buffer = Buffer.from(response.data);
+      await this.writeFile(filePath, buffer);
+      return buffer;
+
+    } catch (error) {
+      const stale = await this.findStaleCopy(resourcePath);
+      if (stale) {
+        logger.debug(`Serving ${resourcePath} from an older patch: ${error.message}`);
+        return stale;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find the newest cached copy of a resource from any patch
+   */
+  async findStaleCopy(resourcePath) {
+    if (resourcePath.includes('ddragon.leagueoflegends.com')) {
+      return null;
+    }
+
+    for (const version of await this.listCachedVersions()) {
+      try {
+        const { cacheKey } = this.resolveResource(resourcePath, version);
+        return await fs.promises.readFile(path.join(this.options.cacheDir, cacheKey));
+      } catch (error) {
+        // Not cached for this patch
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Write a file atomically so a crash never leaves a truncated asset behind
+   */
+  async writeFile(filePath, buffer) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, buffer);
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  /**
+   * List cached patch versions, newest first
+   */
+  async listCachedVersions() {
+    try {
+      const entries = await fs.promises.readdir(this.options.cacheDir, { withFileTypes: true });
+      return entries
+        .filter(entry => entry.isDirectory() && VERSION_PATTERN.test(entry.name))
+        .map(entry => entry.name)
+        .sort(compareVersionsDescending);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Download the champion, item, summoner spell and profile icon bundles for a patch
+   */
+  prefetch(version) {
+    if (!this.prefetchPromise) {
+      this.prefetchPromise = this.runPrefetch(version)
+        .finally(() => { this.prefetchPromise = null; });
+    }
+    return this.prefetchPromise;
+  }
+
+  async runPrefetch(version) {
+    logger.info(`Prefetching Data Dragon assets for ${version}`);
+    const startTime = Date.now();
+    const resourcePaths = [];
+
+    for (const bundle of PREFETCH_BUNDLES) {
+      const buffer = await this.getResource(bundle.data, version);
+      if (!bundle.images) continue;
+
+      const { data } = JSON.parse(buffer.toString('utf8'));
+      Object.values(data || {}).forEach(entry => {
+        if (entry.image && entry.image.full) {
+          resourcePaths.push(`${bundle.images}/${entry.image.full}`);
+        }
+      });
+    }
+
+    resourcePaths.push(...await this.getUsedProfileIcons(version));
+
+    const failed = await this.downloadAll(resourcePaths, version);
+    if (failed > 0) {
+      // Leave the patch unmarked so the next connection retries the missing files
+      throw new Error(`${failed} of ${resourcePaths.length} assets could not be downloaded`);
+    }
+
+    const metadata = await this.loadMetadata();
+    metadata.prefetchedVersions = [version, ...metadata.prefetchedVersions.filter(v => v !== version)]
+      .slice(0, this.options.keepVersions);
+    await this.saveMetadata();
+    await this.pruneVersions();
+
+    logger.info(`Prefetched ${resourcePaths.length} Data Dragon assets for ${version} in ${Date.now() - startTime}ms`);
+  }
+
+  /**
+   * Profile icons cached on earlier patches, to carry over to a new one
+   */
+  async getUsedProfileIcons(version) {
+    const icons = new Set();
+
+    for (const cachedVersion of await this.listCachedVersions()) {
+      if (cachedVersion === version) continue;
+
+      try {
+        const files = await fs.promises.readdir(path.join(this.options.cacheDir, cachedVersion, 'img', 'profileicon'));
+        files.filter(file => file.endsWith('.png')).forEach(file => icons.add(`img/profileicon/${file}`));
+      } catch (error) {
+        // No profile icons cached for this patch
+      }
+    }
+
+    return [...icons];
+  }
+
+  /**
+   * Download resources with limited concurrency, returning the number of failures
+   */
+  async downloadAll(resourcePaths, version) {
+    let next = 0;
+    let failed = 0;
+
+    const worker = async () => {
+      while (next < resourcePaths.length) {
+        const resourcePath = resourcePaths[next++];
+        try {
+          await this.getResource(resourcePath, version);
+        } catch (error) {
+          failed++;
+          logger.debug(`Failed to prefetch ${resourcePath}: ${error.message}`);
+        }
+      }
+    };
+
+    const workers = Array.from({ length: this.options.prefetchConcurrency }, worker);
+    await Promise.all(workers);
+    return failed;
+  }
+
+  /**
+   * Delete cached patches beyond the newest keepVersions
+   */
+  async pruneVersions() {
+    const versions = await this.listCachedVersions();
+
+    for (const version of versions.slice(this.options.keepVersions)) {
+      try {
+        await fs.promises.rm(path.join(this.options.cacheDir, version), { recursive: true, force: true });
+        logger.info(`Removed cached Data Dragon assets for ${version}`);
+      } catch (error) {
+        logger.warn(`Failed to remove cached Data Dragon assets for ${version}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Load cache metadata from disk
+   */
+  async loadMetadata() {
+    if (this.metadata) {
+      return this.metadata;
+    }
+
+    try {
+      const contents = await fs.promises.readFile(path.join(this.options.cacheDir, METADATA_FILE), 'utf8');
+      const saved = JSON.parse(contents);
+      this.metadata = {
+        latestVersion: saved.latestVersion || null,
+        prefetchedVersions: Array.isArray(saved.prefetchedVersions) ? saved.prefetchedVersions : []
+      };
+    } catch (error) {
+      this.metadata = { latestVersion: null, prefetchedVersions: [] };
+    }
+
+    return this.metadata;
+  }
+
+  /**
+   * Persist cache metadata
+   */
+  async saveMetadata() {
+    try {
+      await this.writeFile(
+        path.join(this.options.cacheDir, METADATA_FILE),
+        JSON.stringify(this.metadata, null, 2)
+      );
+    } catch (error) {
+      logger.warn(`Failed to save Data Dragon cache metadata: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get cache status
+   */
+  getStatus() {
+    return {
+      cacheDir: this.options.cacheDir,
+      latestVersion: this.metadata ? this.metadata.latestVersion : null,
+      prefetching: !!this.prefetchPromise
+    };
+  }
+}
+
+module.exports = DataDragonCache;
@@ -20,17 +20,21 @@ class KeyService extends EventEmitter {
       maxRetries: 3,
       retryDelay: 1000,
       cleanupDelay: 5000,
+      overlayDuration: 4000, // How long an overlay (e.g. an alert) covers a key
+      overlayFrameInterval: 500, // Ms between overlay frames when flashing
+      pluginPath: null, // Plugin directory, where the state file is saved
       ...options
     };
 
     // State management
-    this.stateManager = new StateManager();
+    this.stateManager = new StateManager({ pluginPath: this.options.pluginPath });
     
     // Key tracking
     this.activeKeys = new Map(); // serialNumber-keyUid -> keyData
     this.renderQueue = new Map(); // serialNumber-keyUid -> renderTask
     this.lastRenderTime = new Map(); // serialNumber-keyUid -> timestamp
     this.errorCounts = new Map(); // serialNumber-keyUid -> count
+    this.overlays = new Map(); // serialNumber-keyUid -> { frames, frameTimer, endTimer }
     
     // Device tracking
     this.connectedDevices = new Set();
@@ -182,6 +186,12 @@ class KeyService extends EventEmitter {
       return false;
     }
 
+    // Keep the latest content to restore once the overlay ends
+    if (this.overlays.has(keyId)) {
+      keyData.restoreArgs = { data, renderOptions };
+      return true;
+    }
+
     // Check throttling
     if (this.isThrottled(keyId)) {
       logger.debug(`Throttling render for key: ${keyId}`);
@@ -202,6 +212,7 @@ class KeyService extends EventEmitter {
       keyData.state = 'active';
       keyData.lastUpdate = Date.now();
       keyData.retryCount = 0;
+      keyData.restoreArgs = { data, renderOptions };
       
       // Reset error count on success
       this.errorCounts.delete(keyId);
@@ -215,6 +226,86 @@ class KeyService extends EventEmitter {
     }
   }
 
+  /**
+   * Temporarily cover a key with overlay frames (cycled to flash), then restore its content
+   * Updates arriving while the overlay is shown are held back and the latest one is restored.
+   * @param {string} serialNumber Device serial number
+   * @param {string} keyUid Key uid
+   * @param {string[]} frames Image data URLs
+   * @param {object} options { duration, frameInterval }
+   */
+  async showOverlay(serialNumber, keyUid, frames, options = {}) {
+    const keyId = `${serialNumber}-${keyUid}`;
+    const {
+      duration = this.options.overlayDuration,
+      frameInterval = this.options.overlayFrameInterval
+    } = options;
+
+    const keyData = this.activeKeys.get(keyId);
+    if (!keyData || !this.isDeviceConnected(serialNumber) || !frames || frames.length === 0) {
+      return false;
+    }
+
+    // A new overlay replaces the current one without restoring in between
+    this.stopOverlay(keyId);
+
+    const overlay = { frames, frameIndex: 0, frameTimer: null, endTimer: null };
+    this.overlays.set(keyId, overlay);
+
+    const renderFrame = () => {
+      const imageData = overlay.frames[overlay.frameIndex++ % overlay.frames.length];
+      const renderData = this.prepareRenderData(keyData, { imageData }, { showImage: true, showTitle: false });
+      return this.queueRender(keyId, renderData).catch(error => {
+        logger.debug(`Failed to render overlay frame for ${keyId}:`, error.message);
+      });
+    };
+
+    await renderFrame();
+    if (frames.length > 1) {
+      overlay.frameTimer = setInterval(renderFrame, frameInterval);
+    }
+    overlay.endTimer = setTimeout(() => this.endOverlay(keyId), duration);
+
+    return true;
+  }
+
+  /**
+   * Stop an overlay's timers without restoring the key
+   */
+  stopOverlay(keyId) {
+    const overlay = this.overlays.get(keyId);
+    if (!overlay) return;
+
+    clearInterval(overlay.frameTimer);
+    clearTimeout(overlay.endTimer);
+    this.overlays.delete(keyId);
+  }
+
+  /**
+   * Stop every overlay without restoring (e.g. when the connection state takes over all keys)
+   */
+  stopAllOverlays() {
+    Array.from(this.overlays.keys()).forEach(keyId => this.stopOverlay(keyId));
+  }
+
+  /**
+   * End an overlay and restore the key's latest content
+   */
+  async endOverlay(keyId) {
+    this.stopOverlay(keyId);
+
+    const keyData = this.activeKeys.get(keyId);
+    if (!keyData || !keyData.restoreArgs) return;
+
+    try {
+      const { data, renderOptions } = keyData.restoreArgs;
+      const renderData = this.prepareRenderData(keyData, data, renderOptions);
+      await this.queueRender(keyId, renderData);
+    } catch (error) {
+      logger.error(`Failed to restore key ${keyId} after overlay:`, error);
+    }
+  }
+
   /**
    * Render connection state on all active keys
    */
@@ -232,6 +323,9 @@ class KeyService extends EventEmitter {
       return;
     }
 
+    // Connection state replaces any alert showing on a key
+    this.stopAllOverlays();
+
     // For offline state, use beautiful canvas rendering
     if (connectionState === 'disconnected') {
       await this.renderOfflineStateForAllKeys();
@@ -568,6 +662,8 @@ class KeyService extends EventEmitter {
    * Remove a key
    */
   removeKey(keyId) {
+    this.stopOverlay(keyId);
+    
     // Cancel any queued renders
     if (this.renderQueue.has(keyId)) {
       clearTimeout(this.renderQueue.get(keyId).timeout);
@@ -633,6 +729,7 @@ class KeyService extends EventEmitter {
       connectedDevices: Array.from(this.connectedDevices),
       activeKeys: this.activeKeys.size,
       queuedRenders: this.renderQueue.size,
+      overlays: this.overlays.size,
       errorCounts: Array.from(this.errorCounts.entries()),
       stateManager: this.stateManager.getStatus()
     };
@@ -675,6 +772,9 @@ class KeyService extends EventEmitter {
       this.cleanupInterval = null;
     }
     
+    // Stop overlays
+    this.stopAllOverlays();
+    
     // Cancel all queued renders
     this.renderQueue.forEach(renderTask => {
       if (renderTask.timeout) {
@@ -0,0 +1,265 @@
+const EventEmitter = require('events');
+const https = require('https');
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+const ALL_GAME_DATA_ENDPOINT = '/liveclientdata/allgamedata';
+
+/**
+ * Live Client Data Service - Polls the in-game Live Client Data API
+ *
+ * Fetches /liveclientdata/allgamedata once per tick, only while the gameflow
+ * phase reported by LoLDataService is InProgress, and caches the snapshot so
+ * every live key renders from the same data. Game events (kills, objectives, ...)
+ * are diffed between snapshots so each one is reported exactly once.
+ *
+ * Events:
+ * - 'dataUpdated': { type: 'livegame', data: object, timestamp: number, previousData?: object }
+ * - 'dataUpdated': { type: 'gameevents', data: { events: object[], snapshot: object }, timestamp: number }
+ * - 'error': { message: string, code?: string, recoverable: boolean }
+ */
+class LiveClientDataService extends EventEmitter {
+  constructor(lolDataService, options = {}) {
+    super();
+
+    this.options = {
+      baseURL: process.env.LOL_LIVE_CLIENT_URL || 'https://127.0.0.1:2999',
+      pollInterval: 2000,
+      timeout: 2000,
+      ...options
+    };
+
+    this.lolDataService = lolDataService;
+    this.axios = axios.create({
+      baseURL: this.options.baseURL,
+      httpsAgent: new https.Agent({ rejectUnauthorized: false }),
+      timeout: this.options.timeout
+    });
+
+    // Polling state
+    this.poller = null;
+    this.isPolling = false;
+    this.isFetching = false;
+    this.consecutiveFailures = 0;
+
+    // Latest snapshot
+    this.snapshot = null;
+    this.snapshotTimestamp = null;
+
+    // Highest EventID already reported (null until the first snapshot of a game)
+    this.lastEventId = null;
+
+    // Bind methods to preserve context
+    this.handleGameStateChange = this.handleGameStateChange.bind(this);
+    this.handleConnectionChange = this.handleConnectionChange.bind(this);
+    this.poll = this.poll.bind(this);
+  }
+
+  /**
+   * Start following gameflow changes from the LoL Data Service
+   */
+  initialize() {
+    this.lolDataService.on('gameStateChanged', this.handleGameStateChange);
+    this.lolDataService.on('connectionChanged', this.handleConnectionChange);
+
+    // Plugin may start mid-game
+    if (this.lolDataService.lastKnownGameState === 'InProgress') {
+      this.startPolling();
+    }
+
+    logger.info('Live Client Data Service initialized');
+  }
+
+  /**
+   * Start or stop polling when entering or leaving a game
+   */
+  handleGameStateChange({ phase }) {
+    if (phase === 'InProgress') {
+      this.startPolling();
+    } else {
+      this.stopPolling();
+    }
+  }
+
+  /**
+   * Stop polling if the League client goes away mid-game
+   */
+  handleConnectionChange({ connected }) {
+    if (!connected) {
+      this.stopPolling();
+    }
+  }
+
+  /**
+   * Start polling allgamedata
+   */
+  startPolling() {
+    if (this.isPolling) {
+      return;
+    }
+
+    logger.info(`Starting live client polling (${this.options.pollInterval}ms interval)`);
+    this.isPolling = true;
+    this.consecutiveFailures = 0;
+    this.poller = setInterval(this.poll, this.options.pollInterval);
+
+    // Immediately poll once
+    this.poll();
+  }
+
+  /**
+   * Stop polling and drop the cached snapshot
+   */
+  stopPolling() {
+    if (!this.isPolling) {
+      return;
+    }
+
+    clearInterval(this.poller);
+    this.poller = null;
+    this.isPolling = false;
+    this.snapshot = null;
+    this.snapshotTimestamp = null;
+    this.lastEventId = null;
+
+    logger.info('Stopped live client polling');
+  }
+
+  /**
+   * Fetch one allgamedata snapshot and emit it
+   */
+  async poll() {
+    // Skip the tick if the previous request is still in flight
+    if (!this.isPolling || this.isFetching) {
+      return;
+    }
+
+    this.isFetching = true;
+
+    try {
+      const data = await this.fetchAllGameData();
+
+      // Polling may have stopped while the request was in flight
+      if (!this.isPolling) {
+        return;
+      }
+
+      const previousData = this.snapshot;
+      const timestamp = Date.now();
+      this.snapshot = data;
+      this.snapshotTimestamp = timestamp;
+      this.consecutiveFailures = 0;
+
+      this.emit('dataUpdated', {
+        type: 'livegame',
+        endpoint: ALL_GAME_DATA_ENDPOINT,
+        data,
+        timestamp,
+        previousData
+      });
+
+      const events = this.getNewEvents(data);
+      if (events.length > 0) {
+        this.emit('dataUpdated', {
+          type: 'gameevents',
+          endpoint: ALL_GAME_DATA_ENDPOINT,
+          data: { events, snapshot: data },
+          timestamp
+        });
+      }
+
+    } catch (error) {
+      this.consecutiveFailures++;
+
+      // The API takes a while to come up after loading screen, so only report persistent failures
+      if (this.consecutiveFailures === 5) {
+        this.emit('error', {
+          message: `Live Client Data API unavailable: ${error.message}`,
+          code: 'LIVE_CLIENT_UNAVAILABLE',
+          recoverable: true,
+          endpoint: ALL_GAME_DATA_ENDPOINT
+        });
+      } else {
+        logger.debug(`Live client poll failed: ${error.message}`);
+      }
+    } finally {
+      this.isFetching = false;
+    }
+  }
+
+  /**
+   * Get the events added since the previous snapshot
+   * The first snapshot of a game only sets the baseline, so starting mid-game doesn't replay old events
+   */
+  getNewEvents(snapshot) {
+    const events = snapshot?.events?.Events;
+    if (!Array.isArray(events)) {
+      return [];
+    }
+
+    const latestId = events.reduce((max, event) => Math.max(max, event.EventID), -1);
+
+    // Event ids restart with every game
+    if (this.lastEventId === null || latestId < this.lastEventId) {
+      this.lastEventId = latestId;
+      return [];
+    }
+
+    const newEvents = events.filter(event => event.EventID > this.lastEventId);
+    this.lastEventId = latestId;
+    return newEvents;
+  }
+
+  /**
+   * Fetch allgamedata from the live client, or from the session being replayed
+   */
+  async fetchAllGameData() {
+    if (this.lolDataService.isReplaying) {
+      return this.lolDataService.getReplayResponse(ALL_GAME_DATA_ENDPOINT);
+    }
+
+    try {
+      const response = await this.axios.get(ALL_GAME_DATA_ENDPOINT);
+      this.lolDataService.recordLiveClientResponse(ALL_GAME_DATA_ENDPOINT, response.data);
+      return response.data;
+    } catch (error) {
+      this.lolDataService.recordLiveClientResponse(ALL_GAME_DATA_ENDPOINT, null, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the latest allgamedata snapshot (null when not in game)
+   */
+  getSnapshot() {
+    return this.snapshot;
+  }
+
+  /**
+   * Get service status
+   */
+  getStatus() {
+    return {
+      polling: this.isPolling,
+      hasSnapshot: !!this.snapshot,
+      lastUpdate: this.snapshotTimestamp,
+      gameTime: this.snapshot?.gameData?.gameTime ?? null
+    };
+  }
+
+  /**
+   * Cleanup and shutdown
+   */
+  async shutdown() {
+    logger.info('Shutting down Live Client Data Service...');
+
+    this.stopPolling();
+    this.lolDataService.removeListener('gameStateChanged', this.handleGameStateChange);
+    this.lolDataService.removeListener('connectionChanged', this.handleConnectionChange);
+    this.removeAllListeners();
+
+    logger.info('Live Client Data Service shutdown complete');
+  }
+}
+
+module.exports = LiveClientDataService;
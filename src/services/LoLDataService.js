@@ -4,10 +4,17 @@ const path = require('path');
 const { promisify } = require('util');
 const { exec } = require('child_process');
 const axios = require('axios');
+const WebSocket = require('ws');
 const logger = require('../utils/logger');
+const SessionRecorder = require('./SessionRecorder');
+const DataDragonCache = require('./DataDragonCache');
 
 const execAsync = promisify(exec);
 
+// WAMP 1.0 message type ids used by the League client WebSocket
+const WAMP_SUBSCRIBE = 5;
+const WAMP_EVENT = 8;
+
 /**
  * LoL Data Service - Handles all League of Legends client communication
  * 
@@ -16,6 +23,13 @@ const execAsync = promisify(exec);
  * - 'dataUpdated': { type: string, data: any, timestamp: number }
  * - 'gameStateChanged': { phase: string, previous?: string }
  * - 'error': { message: string, code?: string, recoverable: boolean }
+ * - 'replayFinished': { filePath: string, entries: number }
+ * 
+ * Endpoint data is pushed over the client's WAMP WebSocket when possible.
+ * Interval polling is only used if the socket cannot be established.
+ * 
+ * Sessions can be recorded to a file (LOL_RECORD_SESSION) and replayed later
+ * (LOL_REPLAY_SESSION, LOL_REPLAY_SPEED) through the same events, without a client.
  */
 class LoLDataService extends EventEmitter {
   constructor(options = {}) {
@@ -25,9 +39,18 @@ class LoLDataService extends EventEmitter {
       reconnectDelay: 2000,
       maxReconnectAttempts: 5,
       processMonitorFrequency: 3000,
+      useWebSocket: true,
+      webSocketTimeout: 5000,
+      recordSessionPath: process.env.LOL_RECORD_SESSION || null,
+      replaySessionPath: process.env.LOL_REPLAY_SESSION || null,
+      replaySpeed: Number(process.env.LOL_REPLAY_SPEED) || 1,
+      dataDragonCacheDir: process.env.LOL_DDRAGON_CACHE_DIR || path.join(options.pluginPath || process.cwd(), 'ddragon-cache'),
       endpointConfig: [
         { endpoint: '/lol-summoner/v1/current-summoner', interval: 5000, type: 'summoner' },
         { endpoint: '/lol-gameflow/v1/gameflow-phase', interval: 2000, type: 'gameflow' },
+        { endpoint: '/lol-lobby/v2/lobby', interval: 2000, type: 'lobby', suppressErrors: true },
+        { endpoint: '/lol-lobby/v2/lobby/matchmaking/search-state', interval: 1000, type: 'searchstate', suppressErrors: true },
+        { endpoint: '/lol-matchmaking/v1/ready-check', interval: 1000, type: 'readycheck', suppressErrors: true },
         { endpoint: '/lol-champ-select/v1/session', interval: 1000, type: 'champselect', suppressErrors: true },
         { endpoint: '/lol-ranked/v1/current-ranked-stats', interval: 5000, type: 'ranked' },
         { endpoint: '/lol-inventory/v1/wallet', interval: 10000, type: 'wallet', suppressErrors: true }
@@ -46,18 +69,29 @@ class LoLDataService extends EventEmitter {
     this.baseURL = null;
     this.axios = null;
     this.version = null;
+    this.dataDragon = new DataDragonCache({ cacheDir: this.options.dataDragonCacheDir });
     
     // Monitoring and polling
     this.processMonitor = null;
     this.endpointPollers = new Map();
+    this.webSocket = null;
+    this.isWebSocketActive = false;
     this.lastKnownGameState = null;
     
     // Data cache with timestamps
     this.dataCache = new Map();
     
+    // Session recording and replay
+    this.recorder = new SessionRecorder();
+    this.isReplaying = false;
+    this.replayTimers = [];
+    this.replayResponses = new Map(); // endpoint -> last replayed entry
+    
     // Bind methods to preserve context
     this.handleProcessCheck = this.handleProcessCheck.bind(this);
     this.handleEndpointPoll = this.handleEndpointPoll.bind(this);
+    this.handleWebSocketMessage = this.handleWebSocketMessage.bind(this);
+    this.handleWebSocketClose = this.handleWebSocketClose.bind(this);
   }
 
   /**
@@ -71,6 +105,17 @@ class LoLDataService extends EventEmitter {
 
     logger.info('Initializing LoL Data Service...');
     
+    // Replay mode never touches a real client
+    if (this.options.replaySessionPath) {
+      await this.startReplay(this.options.replaySessionPath, { speed: this.options.replaySpeed });
+      this.isInitialized = true;
+      return;
+    }
+    
+    if (this.options.recordSessionPath) {
+      await this.startRecording(this.options.recordSessionPath);
+    }
+    
     try {
       // Start process monitoring first
       this.startProcessMonitoring();
@@ -99,7 +144,7 @@ class LoLDataService extends EventEmitter {
       await this.getLatestVersion();
       
       this.setConnectionState(true, 'Connected successfully');
-      this.startEndpointPolling();
+      await this.startDataSubscription();
       this.connectionAttempts = 0;
       
     } catch (error) {
@@ -115,6 +160,11 @@ class LoLDataService extends EventEmitter {
     try {
       await this.discoverFromLockfile();
     } catch (error) {
+      // Don't fall back to a real client when pointed at a specific lockfile
+      if (this.hasLockfileOverride()) {
+        throw error;
+      }
+      
       logger.debug('Lockfile discovery failed, trying process list');
       await this.discoverFromProcessList();
     }
@@ -144,6 +194,10 @@ class LoLDataService extends EventEmitter {
    * Get default lockfile path based on platform
    */
   getDefaultLockfilePath() {
+    if (this.hasLockfileOverride()) {
+      return this.options.lockfilePath || process.env.LOL_LOCKFILE_PATH;
+    }
+    
     const platform = process.platform;
     if (platform === 'win32') {
       return path.join(process.env.LOCALAPPDATA, 'Riot Games', 'League of Legends', 'lockfile');
@@ -153,6 +207,13 @@ class LoLDataService extends EventEmitter {
     return path.join(process.env.HOME, '.config', 'leagueclient', 'lockfile');
   }
 
+  /**
+   * Whether the lockfile path is explicitly set, e.g. for the mock League Client in src/mock
+   */
+  hasLockfileOverride() {
+    return !!(this.options.lockfilePath || process.env.LOL_LOCKFILE_PATH);
+  }
+
   /**
    * Discover connection details from process list
    */
@@ -216,18 +277,29 @@ class LoLDataService extends EventEmitter {
   }
 
   /**
-   * Get latest League version from Data Dragon
+   * Get latest League version from Data Dragon (cached on disk for offline use)
    */
   async getLatestVersion() {
+    this.version = await this.dataDragon.getLatestVersion(() => this.getClientPatchVersion());
+    
+    if (this.version) {
+      logger.info(`Using Data Dragon version: ${this.version}`);
+    } else {
+      logger.warn('Data Dragon version unknown - assets will only load from the offline cache');
+    }
+  }
+
+  /**
+   * Derive a Data Dragon version from the client's game version (e.g. 15.10.681.1234 -> 15.10.1)
+   */
+  async getClientPatchVersion() {
     try {
-      const response = await axios.get('https://ddragon.leagueoflegends.com/api/versions.json', {
-        timeout: 5000
-      });
-      this.version = response.data[0];
-      logger.info(`Retrieved League version: ${this.version}`);
+      const response = await this.axios.get('/lol-patch/v1/game-version');
+      const [major, minor] = String(response.data).split('.');
+      return major && minor ? `${major}.${minor}.1` : null;
     } catch (error) {
-      this.version = '15.10.1'; // Fallback version
-      logger.warn(`Failed to get version, using fallback: ${this.version}`);
+      logger.debug(`Failed to get client game version: ${error.message}`);
+      return null;
     }
   }
 
@@ -268,6 +340,17 @@ class LoLDataService extends EventEmitter {
    * Check if League process is running
    */
   async isLeagueProcessRunning() {
+    // With an overridden lockfile there is no LeagueClientUx process to look for,
+    // so treat the lockfile's presence as the client running (it is removed on exit)
+    if (this.hasLockfileOverride()) {
+      try {
+        await fs.promises.access(this.getDefaultLockfilePath());
+        return true;
+      } catch (error) {
+        return false;
+      }
+    }
+    
     const cmd = process.platform === 'win32'
       ? 'tasklist /FI "IMAGENAME eq LeagueClientUx.exe" /FO CSV'
       : 'pgrep -f LeagueClientUx';
@@ -316,14 +399,159 @@ class LoLDataService extends EventEmitter {
    */
   async handleDisconnection() {
     this.setConnectionState(false, 'League process stopped');
+    this.closeWebSocket();
     this.stopEndpointPolling();
     this.resetConnectionDetails();
   }
 
+  /**
+   * Start receiving endpoint data, preferring WebSocket events over polling
+   */
+  async startDataSubscription() {
+    if (this.options.useWebSocket) {
+      try {
+        await this.connectWebSocket();
+        this.subscribeToEndpoints();
+        
+        // Events only fire on change, so seed the cache with the current state
+        this.options.endpointConfig.forEach(config => this.handleEndpointPoll(config));
+        return;
+        
+      } catch (error) {
+        logger.warn(`WebSocket unavailable, falling back to endpoint polling: ${error.message}`);
+        this.closeWebSocket();
+      }
+    }
+    
+    this.startEndpointPolling();
+  }
+
+  /**
+   * Open the League client WAMP WebSocket on the lockfile port
+   */
+  connectWebSocket() {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(`wss://127.0.0.1:${this.port}/`, 'wamp', {
+        headers: {
+          Authorization: `Basic ${Buffer.from(`riot:${this.password}`).toString('base64')}`
+        },
+        rejectUnauthorized: false,
+        handshakeTimeout: this.options.webSocketTimeout
+      });
+      
+      const onOpenError = (error) => {
+        socket.removeAllListeners();
+        socket.terminate();
+        reject(error);
+      };
+      
+      socket.once('error', onOpenError);
+      socket.once('open', () => {
+        socket.removeListener('error', onOpenError);
+        socket.on('message', this.handleWebSocketMessage);
+        socket.on('close', this.handleWebSocketClose);
+        socket.on('error', (error) => {
+          logger.debug('WebSocket error:', error.message);
+        });
+        
+        this.webSocket = socket;
+        this.isWebSocketActive = true;
+        logger.info('Connected to League client WebSocket');
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Subscribe to JSON API events for every configured endpoint
+   */
+  subscribeToEndpoints() {
+    this.options.endpointConfig.forEach(config => {
+      const eventName = this.getEventName(config.endpoint);
+      this.webSocket.send(JSON.stringify([WAMP_SUBSCRIBE, eventName]));
+      logger.debug(`Subscribed to ${eventName}`);
+    });
+  }
+
+  /**
+   * Build the WAMP event name for an endpoint, e.g. OnJsonApiEvent_lol-gameflow_v1_gameflow-phase
+   */
+  getEventName(endpoint) {
+    return `OnJsonApiEvent${endpoint.replace(/\//g, '_')}`;
+  }
+
+  /**
+   * Handle a WAMP message from the League client
+   */
+  handleWebSocketMessage(message) {
+    let payload;
+    try {
+      payload = JSON.parse(message.toString());
+    } catch (error) {
+      // The client sends an empty frame after subscribing
+      return;
+    }
+    
+    if (!Array.isArray(payload) || payload[0] !== WAMP_EVENT || !payload[2]) {
+      return;
+    }
+    
+    const { uri, data, eventType } = payload[2];
+    
+    // Prefer an exact match, since some endpoints live below others (e.g. the lobby search state)
+    const config = this.options.endpointConfig.find(c => uri === c.endpoint)
+      || this.options.endpointConfig.find(c => uri.startsWith(`${c.endpoint}/`));
+    
+    if (!config) {
+      return;
+    }
+    
+    if (uri === config.endpoint) {
+      // Deleted resources (e.g. champ select ending) have no data
+      this.handleEndpointData(config, eventType === 'Delete' ? null : data);
+    } else {
+      // Sub-resource changed, re-fetch the full endpoint payload
+      this.handleEndpointPoll(config);
+    }
+  }
+
+  /**
+   * Handle the WebSocket closing
+   */
+  handleWebSocketClose() {
+    const wasActive = this.isWebSocketActive;
+    this.webSocket = null;
+    this.isWebSocketActive = false;
+    
+    // Keep data flowing if the client is still up but the socket dropped
+    if (wasActive && this.isConnected) {
+      logger.warn('League client WebSocket closed - falling back to endpoint polling');
+      this.startEndpointPolling();
+    }
+  }
+
+  /**
+   * Close the WebSocket without triggering the polling fallback
+   */
+  closeWebSocket() {
+    this.isWebSocketActive = false;
+    
+    if (this.webSocket) {
+      this.webSocket.removeAllListeners();
+      this.webSocket.on('error', () => {});
+      this.webSocket.terminate();
+      this.webSocket = null;
+    }
+  }
+
   /**
    * Start polling all configured endpoints
    */
   startEndpointPolling() {
+    if (this.endpointPollers.size > 0) {
+      return;
+    }
+    
     logger.info('Starting endpoint polling...');
     
     this.options.endpointConfig.forEach(config => {
@@ -348,29 +576,11 @@ class LoLDataService extends EventEmitter {
 
     try {
       const response = await this.axios.get(config.endpoint);
-      const data = response.data;
-      const timestamp = Date.now();
-      
-      // Cache the data
-      const cacheKey = config.type;
-      const previousData = this.dataCache.get(cacheKey);
-      this.dataCache.set(cacheKey, { data, timestamp });
-      
-      // Emit data update event
-      this.emit('dataUpdated', {
-        type: config.type,
-        endpoint: config.endpoint,
-        data,
-        timestamp,
-        previousData: previousData?.data
-      });
-      
-      // Handle special game state tracking
-      if (config.type === 'gameflow') {
-        this.handleGameStateChange(data, previousData?.data);
-      }
+      this.handleEndpointData(config, response.data);
       
     } catch (error) {
+      this.recordResponse({ source: 'lcu', type: config.type, endpoint: config.endpoint, error: error.message });
+      
       if (!config.suppressErrors) {
         logger.debug(`Error polling ${config.endpoint}:`, error.message);
       }
@@ -387,6 +597,150 @@ class LoLDataService extends EventEmitter {
     }
   }
 
+  /**
+   * Cache endpoint data and emit update events (shared by polling and WebSocket)
+   */
+  handleEndpointData(config, data) {
+    const timestamp = Date.now();
+    
+    // Cache the data
+    const cacheKey = config.type;
+    const previousData = this.dataCache.get(cacheKey);
+    this.dataCache.set(cacheKey, { data, timestamp });
+    
+    this.recordResponse({ source: 'lcu', type: config.type, endpoint: config.endpoint, data });
+    
+    // Emit data update event
+    this.emit('dataUpdated', {
+      type: config.type,
+      endpoint: config.endpoint,
+      data,
+      timestamp,
+      previousData: previousData?.data
+    });
+    
+    // Handle special game state tracking
+    if (config.type === 'gameflow') {
+      this.handleGameStateChange(data, previousData?.data);
+    }
+  }
+
+  /**
+   * Start recording every endpoint response to a session file
+   */
+  async startRecording(filePath) {
+    try {
+      await this.recorder.start(filePath);
+    } catch (error) {
+      logger.error(`Failed to start session recording: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stop recording the current session
+   */
+  async stopRecording() {
+    await this.recorder.stop();
+  }
+
+  /**
+   * Record an endpoint response (skipped while replaying)
+   */
+  recordResponse(entry) {
+    if (!this.isReplaying) {
+      this.recorder.record(entry);
+    }
+  }
+
+  /**
+   * Record a Live Client Data API response or failure (called by the legacy client)
+   */
+  recordLiveClientResponse(endpoint, data, error = null) {
+    this.recordResponse(error
+      ? { source: 'live', endpoint, error: error.message }
+      : { source: 'live', endpoint, data });
+  }
+
+  /**
+   * Replay a recorded session through the normal data events
+   * @param {string} filePath Session file written by startRecording
+   * @param {object} options { speed } - 1 is real time, 10 is ten times faster
+   */
+  async startReplay(filePath, { speed = 1 } = {}) {
+    const { header, entries } = await SessionRecorder.load(filePath);
+    
+    // Detach from any real client so only replayed data is emitted
+    this.stopReplay();
+    if (this.processMonitor) {
+      clearInterval(this.processMonitor);
+      this.processMonitor = null;
+    }
+    this.closeWebSocket();
+    this.stopEndpointPolling();
+    this.resetConnectionDetails();
+    this.dataCache.clear();
+    this.lastKnownGameState = null;
+    
+    this.isReplaying = true;
+    logger.info(`Replaying ${entries.length} entries from ${filePath} (recorded ${new Date(header.startedAt).toISOString()}) at ${speed}x`);
+    this.setConnectionState(true, 'Replaying recorded session');
+    
+    entries.forEach(entry => {
+      const timer = setTimeout(() => this.replayEntry(entry), entry.t / speed);
+      this.replayTimers.push(timer);
+    });
+    
+    const duration = entries.length > 0 ? entries[entries.length - 1].t / speed : 0;
+    this.replayTimers.push(setTimeout(() => {
+      logger.info(`Replay of ${filePath} finished`);
+      this.emit('replayFinished', { filePath, entries: entries.length });
+    }, duration));
+  }
+
+  /**
+   * Apply a single recorded entry
+   */
+  replayEntry(entry) {
+    this.replayResponses.set(entry.endpoint, entry);
+    
+    // Only polled/pushed endpoints carry a type; direct requests are just served on demand
+    if (entry.source === 'lcu' && entry.type && entry.error === undefined) {
+      this.handleEndpointData({ type: entry.type, endpoint: entry.endpoint }, entry.data);
+    }
+  }
+
+  /**
+   * Get the most recently replayed response for an endpoint
+   */
+  getReplayResponse(endpoint) {
+    const entry = this.replayResponses.get(endpoint);
+    
+    if (!entry) {
+      throw new Error(`No replayed response for ${endpoint}`);
+    }
+    if (entry.error !== undefined) {
+      throw new Error(entry.error);
+    }
+    
+    return entry.data;
+  }
+
+  /**
+   * Cancel a running replay
+   */
+  stopReplay() {
+    if (!this.isReplaying) {
+      return;
+    }
+    
+    this.replayTimers.forEach(timer => clearTimeout(timer));
+    this.replayTimers = [];
+    this.replayResponses.clear();
+    this.isReplaying = false;
+    
+    this.setConnectionState(false, 'Replay stopped');
+  }
+
   /**
    * Handle game state changes
    */
@@ -443,6 +797,42 @@ class LoLDataService extends EventEmitter {
     this.axios = null;
   }
 
+  /**
+   * Send an authenticated request that changes League client state
+   */
+  async sendRequest(method, endpoint, body = undefined) {
+    if (this.isReplaying) {
+      throw new Error(`Cannot ${method} ${endpoint} while replaying a session`);
+    }
+    
+    if (!this.isConnected || !this.axios) {
+      throw new Error('League client not available');
+    }
+    
+    try {
+      const response = await this.axios.request({ method, url: endpoint, data: body });
+      logger.debug(`${method} ${endpoint} -> ${response.status}`);
+      return response.data;
+    } catch (error) {
+      logger.error(`${method} ${endpoint} failed:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Send an authenticated POST request to the League client
+   */
+  async post(endpoint, body = undefined) {
+    return this.sendRequest('POST', endpoint, body);
+  }
+
+  /**
+   * Send an authenticated DELETE request to the League client
+   */
+  async delete(endpoint) {
+    return this.sendRequest('DELETE', endpoint);
+  }
+
   /**
    * Get cached data for a specific type
    */
@@ -460,6 +850,9 @@ class LoLDataService extends EventEmitter {
       initialized: this.isInitialized,
       port: this.port,
       version: this.version,
+      dataSource: this.isReplaying ? 'replay' : (this.isWebSocketActive ? 'websocket' : 'polling'),
+      recording: this.recorder.isRecording,
+      dataDragon: this.dataDragon.getStatus(),
       gameState: this.lastKnownGameState,
       cacheSize: this.dataCache.size
     };
@@ -491,8 +884,11 @@ class LoLDataService extends EventEmitter {
       this.processMonitor = null;
     }
     
-    // Stop endpoint polling
+    // Stop WebSocket events, endpoint polling and any replay
+    this.closeWebSocket();
     this.stopEndpointPolling();
+    this.stopReplay();
+    await this.stopRecording();
     
     // Clear cache
     this.dataCache.clear();
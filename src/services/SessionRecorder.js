@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const SESSION_FORMAT_VERSION = 1;
+
+/**
+ * Session Recorder - Captures endpoint responses to a session file for later replay
+ *
+ * Session files are JSON Lines so they survive a crash mid-game:
+ * - First line: { version, startedAt }
+ * - Every other line: { t, source, type?, endpoint, data?, error? }
+ *   where t is milliseconds since recording started and source is 'lcu' or 'live'
+ */
+class SessionRecorder {
+  constructor() {
+    this.stream = null;
+    this.filePath = null;
+    this.startedAt = null;
+    this.entryCount = 0;
+  }
+
+  /**
+   * Whether a recording is in progress
+   */
+  get isRecording() {
+    return !!this.stream;
+  }
+
+  /**
+   * Start recording to a new session file
+   */
+  async start(filePath) {
+    if (this.stream) {
+      logger.warn(`Already recording session to ${this.filePath}`);
+      return;
+    }
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    this.filePath = filePath;
+    this.startedAt = Date.now();
+    this.entryCount = 0;
+    this.stream = fs.createWriteStream(filePath, { flags: 'w', encoding: 'utf8' });
+    this.stream.on('error', (error) => {
+      logger.error(`Session recording failed: ${error.message}`);
+      this.stream = null;
+    });
+
+    this.writeLine({ version: SESSION_FORMAT_VERSION, startedAt: this.startedAt });
+    logger.info(`Recording session to ${filePath}`);
+  }
+
+  /**
+   * Record a single endpoint response or failure
+   */
+  record(entry) {
+    if (!this.stream) {
+      return;
+    }
+
+    this.writeLine({ t: Date.now() - this.startedAt, ...entry });
+    this.entryCount++;
+  }
+
+  /**
+   * Stop recording and flush the session file
+   */
+  async stop() {
+    if (!this.stream) {
+      return;
+    }
+
+    const stream = this.stream;
+    this.stream = null;
+    await new Promise(resolve => stream.end(resolve));
+
+    logger.info(`Recorded ${this.entryCount} entries to ${this.filePath}`);
+  }
+
+  /**
+   * Append a JSON line to the session file
+   */
+  writeLine(value) {
+    this.stream.write(`${JSON.stringify(value)}\n`);
+  }
+
+  /**
+   * Load a session file, returning its header and entries in time order
+   */
+  static async load(filePath) {
+    const contents = await fs.promises.readFile(filePath, 'utf8');
+    const lines = contents.split('\n').filter(line => line.trim().length > 0);
+
+    if (lines.length === 0) {
+      throw new Error(`Session file ${filePath} is empty`);
+    }
+
+    const header = JSON.parse(lines[0]);
+    if (header.version !== SESSION_FORMAT_VERSION) {
+      throw new Error(`Unsupported session file version: ${header.version}`);
+    }
+
+    const entries = [];
+    lines.slice(1).forEach((line, index) => {
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // A crash can leave a truncated last line behind
+        logger.warn(`Skipping unreadable session entry on line ${index + 2}`);
+      }
+    });
+
+    entries.sort((a, b) => a.t - b.t);
+    return { header, entries };
+  }
+}
+
+module.exports = SessionRecorder;
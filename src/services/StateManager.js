@@ -10,13 +10,17 @@ const logger = require('../utils/logger');
  * - Connection states
  * - User preferences
  * - Cache data
+ * - LP history per ranked queue
+ * - Finished games for the session tracker
  */
 class StateManager {
   constructor(options = {}) {
     this.options = {
-      persistenceFile: path.join(process.cwd(), 'plugin-state.json'),
+      persistenceFile: path.join(options.pluginPath || process.cwd(), 'plugin-state.json'),
       autoSaveInterval: 30000, // 30 seconds
       maxCacheAge: 300000, // 5 minutes
+      maxLpHistory: 500, // records per queue
+      maxSessionGames: 200,
       ...options
     };
 
@@ -26,6 +30,7 @@ class StateManager {
       connections: new Map(), // service -> connectionState
       preferences: new Map(), // key -> value
       cache: new Map(), // key -> { data, timestamp }
+      accounts: new Map(), // puuid -> { lpHistory: { queueType -> [records] }, sessionGames: [games] }
       metadata: {
         lastSave: null,
         version: '1.0.0',
@@ -33,6 +38,9 @@ class StateManager {
       }
     };
 
+    // Logged in account (summoner puuid), set from summoner data
+    this.currentAccount = null;
+
     // Persistence
     this.autoSaveTimer = null;
     this.isDirty = false;
@@ -87,6 +95,9 @@ class StateManager {
         if (savedState.preferences) {
           this.state.preferences = new Map(Object.entries(savedState.preferences));
         }
+        if (savedState.accounts) {
+          this.state.accounts = new Map(Object.entries(savedState.accounts));
+        }
         if (savedState.cache) {
           // Validate cache entries and remove expired ones
           const now = Date.now();
@@ -127,6 +138,7 @@ class StateManager {
         connections: Object.fromEntries(this.state.connections),
         preferences: Object.fromEntries(this.state.preferences),
         cache: Object.fromEntries(this.state.cache),
+        accounts: Object.fromEntries(this.state.accounts),
         metadata: {
           ...this.state.metadata,
           lastSave: Date.now()
@@ -395,6 +407,127 @@ class StateManager {
     return size;
   }
 
+  // --- Account Management ---
+
+  /**
+   * Set the logged in account (summoner puuid) that LP history and session games belong to
+   * @returns {boolean} Whether the account changed
+   */
+  setCurrentAccount(puuid) {
+    if (puuid === this.currentAccount) {
+      return false;
+    }
+
+    this.currentAccount = puuid || null;
+    logger.debug(`Current account set to ${this.currentAccount}`);
+    return true;
+  }
+
+  /**
+   * Get the logged in account's puuid (null until summoner data arrives)
+   */
+  getCurrentAccount() {
+    return this.currentAccount;
+  }
+
+  /**
+   * Get the current account's stored state (null when no account is logged in)
+   */
+  getAccountState(create = false) {
+    if (!this.currentAccount) {
+      return null;
+    }
+
+    if (create && !this.state.accounts.has(this.currentAccount)) {
+      this.state.accounts.set(this.currentAccount, { lpHistory: {}, sessionGames: [] });
+    }
+    return this.state.accounts.get(this.currentAccount) || null;
+  }
+
+  // --- LP History Management ---
+
+  /**
+   * Append a ranked record to a queue's LP history of the current account
+   * @returns {boolean} Whether the record was added (not without an account)
+   */
+  addLpHistoryRecord(queueType, record) {
+    const account = this.getAccountState(true);
+    if (!account) {
+      return false;
+    }
+
+    const history = account.lpHistory[queueType] || [];
+    history.push(record);
+
+    // Keep only the most recent records
+    if (history.length > this.options.maxLpHistory) {
+      history.splice(0, history.length - this.options.maxLpHistory);
+    }
+
+    account.lpHistory[queueType] = history;
+    this.markDirty();
+    logger.debug(`Recorded LP history for ${queueType}: ${record.tier} ${record.division} ${record.leaguePoints} LP`);
+    return true;
+  }
+
+  /**
+   * Get a queue's LP history of the current account (oldest first)
+   */
+  getLpHistory(queueType) {
+    const account = this.getAccountState();
+    return [...((account && account.lpHistory[queueType]) || [])];
+  }
+
+  /**
+   * Get the most recent LP history record of the current account for a queue
+   */
+  getLatestLpRecord(queueType) {
+    const history = this.getLpHistory(queueType);
+    return history.length > 0 ? history[history.length - 1] : null;
+  }
+
+  /**
+   * Get the LP history of every queue of the current account
+   */
+  getAllLpHistory() {
+    const account = this.getAccountState();
+    const all = {};
+    Object.entries(account ? account.lpHistory : {}).forEach(([queueType, history]) => {
+      all[queueType] = [...history];
+    });
+    return all;
+  }
+
+  // --- Session Game Management ---
+
+  /**
+   * Record a finished game of the current account (ignored if the game was already recorded)
+   * @returns {boolean} Whether the game was added
+   */
+  addSessionGame(game) {
+    const account = this.getAccountState(true);
+    if (!account || account.sessionGames.some(existing => existing.gameId === game.gameId)) {
+      return false;
+    }
+
+    account.sessionGames.push(game);
+    if (account.sessionGames.length > this.options.maxSessionGames) {
+      account.sessionGames.splice(0, account.sessionGames.length - this.options.maxSessionGames);
+    }
+
+    this.markDirty();
+    logger.debug(`Recorded session game ${game.gameId}`);
+    return true;
+  }
+
+  /**
+   * Get recorded games of the current account (oldest first)
+   */
+  getSessionGames() {
+    const account = this.getAccountState();
+    return [...(account ? account.sessionGames : [])];
+  }
+
   // --- Data Aggregation ---
 
   /**
@@ -413,6 +546,13 @@ class StateManager {
       preferences: {
         total: this.state.preferences.size
       },
+      accounts: {
+        total: this.state.accounts.size,
+        current: this.currentAccount,
+        lpRecords: Array.from(this.state.accounts.values()).reduce((sum, account) =>
+          sum + Object.values(account.lpHistory).reduce((queueSum, history) => queueSum + history.length, 0), 0),
+        sessionGames: Array.from(this.state.accounts.values()).reduce((sum, account) => sum + account.sessionGames.length, 0)
+      },
       cache: {
         total: this.state.cache.size,
         expired: Array.from(this.state.cache.values()).filter(e => 
@@ -486,6 +626,7 @@ class StateManager {
     this.state.connections.clear();
     this.state.preferences.clear();
     this.state.cache.clear();
+    this.state.accounts.clear();
     this.state.metadata = {
       lastSave: null,
       version: '1.0.0',
@@ -528,6 +669,7 @@ class StateManager {
     this.state.connections.clear();
     this.state.preferences.clear();
     this.state.cache.clear();
+    this.state.accounts.clear();
     
     this.isInitialized = false;
     this.isDirty = false;